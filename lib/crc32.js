@@ -0,0 +1,30 @@
+/**
+ * crc32 -- the CRC-32 checksum used by gzip and zlib, in pure javascript
+ *
+ * Copyright (C) 2026 Andras Radics
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+module.exports = crc32;
+
+var crcTable = makeCrcTable();
+
+// return the crc32 of the Buffer as an unsigned 32-bit integer.
+// Pass in the crc of the preceding data to checksum data in pieces.
+function crc32( buf, crc ) {
+    crc = crc === undefined ? 0xffffffff : (crc ^ 0xffffffff);
+    for (var i = 0; i < buf.length; i++) crc = crcTable[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function makeCrcTable( ) {
+    var table = new Int32Array(256);
+    for (var n = 0; n < 256; n++) {
+        var c = n;
+        for (var k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+        table[n] = c;
+    }
+    return table;
+}
@@ -0,0 +1,94 @@
+/**
+ * DgramWriter -- UDP datagram writable for Fputs
+ *
+ * Splits the written data into datagrams on line boundaries, no line is split
+ * across datagrams.  A line longer than maxPacketSize is sent in a datagram by itself.
+ * Datagrams are unreliable, a send error reopens the socket for the next write.
+ *
+ * Copyright (C) 2026 Andras Radics
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+var dgram = require('dgram');
+
+module.exports = DgramWriter;
+
+var fromBuf = eval('parseInt(process.versions.node) >= 7 ? Buffer.from : Buffer');
+
+/*
+ * options:
+ *     host, port:          UDP address to send to, default host 'localhost'
+ *     type:                socket type, 'udp4' or 'udp6', default 'udp4'
+ *     maxPacketSize:       max bytes to send per datagram, default 1400
+ */
+function DgramWriter( opts ) {
+    if (!(this instanceof DgramWriter)) return new DgramWriter(opts);
+    opts = opts || {};
+    if (!opts.port) throw new Error("missing port");
+
+    this._isDgramWriter = true;
+    this.host = opts.host || 'localhost';
+    this.port = opts.port;
+    this.type = opts.type || 'udp4';
+    this.maxPacketSize = opts.maxPacketSize || 1400;
+    this.socket = null;
+}
+
+DgramWriter.prototype = {
+
+    _getSocket: function _getSocket( ) {
+        if (!this.socket) {
+            var self = this;
+            var socket = this.socket = dgram.createSocket(this.type);
+            // errors are also returned to the send callback
+            socket.on('error', function(err) { self._closeSocket(socket) });
+        }
+        return this.socket;
+    },
+
+    _closeSocket: function _closeSocket( socket ) {
+        if (this.socket === socket) this.socket = null;
+        try { socket.close() } catch (err) { }
+    },
+
+    // split the data into datagrams ending on newlines
+    _splitPackets: function _splitPackets( buf ) {
+        var packets = [], start = 0;
+        while (buf.length - start > this.maxPacketSize) {
+            var eol = buf.lastIndexOf(10, start + this.maxPacketSize - 1);
+            if (eol < start) {
+                // line too long for a datagram, send it whole
+                eol = buf.indexOf(10, start + this.maxPacketSize);
+                if (eol < 0) break;
+            }
+            packets.push(buf.slice(start, eol + 1));
+            start = eol + 1;
+        }
+        if (start < buf.length) packets.push(buf.slice(start));
+        return packets;
+    },
+
+    // send the data, and call cb once all datagrams were sent
+    write: function write( data, cb ) {
+        var self = this;
+        var buf = Buffer.isBuffer(data) ? data : fromBuf(data);
+        var packets = this._splitPackets(buf);
+        var ix = 0;
+        (function sendLoop(err) {
+            if (err || ix >= packets.length) return cb(err, err ? undefined : buf.length);
+            var socket = self._getSocket(), packet = packets[ix++];
+            socket.send(packet, 0, packet.length, self.port, self.host, function(err) {
+                // recreate the socket after an error
+                if (err) self._closeSocket(socket);
+                sendLoop(err);
+            });
+        })();
+    },
+
+    close: function close( cb ) {
+        if (this.socket) this._closeSocket(this.socket);
+        if (cb) cb();
+    },
+}
@@ -11,27 +11,24 @@
 'use strict';
 
 var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var stream = require('stream');
+var zlib = require('zlib');
 var fse = _tryRequire('fs-ext');
-if (!fse) {
+var workerThreads = _tryRequire('worker_threads');
+// the WorkerWriter threads load this file too, warn only once from the main thread
+var isWorkerWriterThread = !!(workerThreads && workerThreads.workerData && workerThreads.workerData.qfputsWorkerWriter);
+if (!fse && !isWorkerWriterThread) {
     console.warn("qfputs: fs-ext not installed, appending lines without flock");
-    fse = {
-        // emulate the calls needed by FileWriter: flock and flockSync
-        flock: function(fd, flag, cb) { if (cb) cb(null); },
-        flockSync: function(fd, flag) { },
-    };
 };
 function _tryRequire(name) { return eval("try { require('" + name + "') } catch (e) { }") }
 
-var flock = fse.flock;
 var flockSync = function( fd, mode ) {
     try { fse.flockSync(fd, mode); return true }
     catch (err) { return err }
 }
 
-fse.SEEK_SET = 0;
-fse.SEEK_CUR = 1;
-fse.SEEK_END = 2;
-
 module.exports = FileWriter;
 
 var allocBuf = eval('parseInt(process.versions.node) >= 7 ? Buffer.allocUnsafe : Buffer');
@@ -52,11 +49,67 @@ function FileWriter( filename, openmode ) {
         // do not overwrite contents when reopening file, use a instead of w, a+ instead of wr, w+
         this.reopenmode = (openmode[1] === '+' || openmode[1] === 'r') ? 'a+' : 'a';
     }
-    this.reopenInterval = 50;   // do not reuse for more than .05 seconds
+    // reopen: interval:ms to not reuse the fd for more than ms (default .05 seconds),
+    // or inode to reopen only once the file was renamed or removed
+    var reopen = parseReopenPolicy(opts.reopen || 'interval');
+    this.reopenPolicy = reopen.reopenPolicy;
+    this.reopenInterval = reopen.reopenInterval;
     this.reopenTime = 0;
+    this._reopenRequested = false;
     this.isFirstOpen = true;
     this.fd = undefined;
-    this._writebuf = allocBuf(writesize * 1.25);
+    // strings are written in the encoding, into the reused writesize byte write buffer if they fit
+    this.encoding = opts.encoding || 'utf8';
+    if (!Buffer.isEncoding(this.encoding)) throw new Error("unknown encoding " + this.encoding);
+    this._writebuf = allocBuf(writesize);
+    this._writebufBusy = false;
+
+    // mkdirp: create the missing parent directories, mode, uid, gid: permissions and owner of a newly created file
+    this.createOptions = parseCreateOptions(opts);
+
+    // rotate: {maxBytes, interval, keep, pattern}
+    this.rotate = null;
+    if (opts.rotate) {
+        this.rotate = {
+            maxBytes: opts.rotate.maxBytes || 0,
+            interval: opts.rotate.interval || 0,
+            keep: opts.rotate.keep || 0,
+            pattern: opts.rotate.pattern || path.basename(filename) + '.%Y%m%d-%H%M%S',
+            compress: opts.rotate.compress === true ? 'gzip' : opts.rotate.compress || null,
+        };
+    }
+
+    // write each chunk as a separate gzip member, to keep the file valid with concurrent appenders
+    this.gzip = !!opts.gzip;
+
+    // lock: auto, flock, lockfile, mkdir, append or none
+    this._locker = makeLockProvider(opts.lock || 'auto', opts.staleLockMs, filename);
+    this.lockProvider = this._locker.name;
+    if (this.gzip && this._locker.atomicAppend) throw new Error("gzip needs a lock, not atomic appends");
+
+    // durability: none, onFlush, interval:ms or everyWrite
+    this.durability = opts.durability || 'none';
+    this.syncInterval = 0;
+    if (/^interval:\d+$/.test(this.durability)) {
+        this.syncInterval = parseInt(this.durability.slice(9));
+        this.durability = 'interval';
+    }
+    else if (['none', 'onFlush', 'everyWrite'].indexOf(this.durability) < 0) {
+        throw new Error("invalid durability " + this.durability);
+    }
+    this._dirty = false;
+    this._fsyncing = 0;
+    this._closeAfterSync = [];
+    this._syncTimer = null;
+    this._syncError = null;         // the error of the last background sync, for the next write or fsync
+    this._error = null;             // the error of a background compressFile, for the setOnError handler
+    this._onError = null;
+
+    this.stats = { writeCalls: 0, bytesWritten: 0, lockWaitMs: 0, reopenCount: 0 };
+
+    // the writes still waiting for the file or the lock, and the number of locks held
+    this._pendingWrites = [];
+    this._locksHeld = 0;
 }
 
 FileWriter.prototype = {
@@ -65,14 +118,12 @@ FileWriter.prototype = {
         var self = this;
         var mode = this.isFirstOpen ? this.openmode : this.reopenmode;
 
-        if (this.fd !== undefined) {
-            try { fs.closeSync(this.fd); } catch (err) { console.log("FileWriter._reopenFd: closeSync: " + err.message) }
-            this.fd = undefined;
-        }
+        if (this.fd !== undefined) this._closeFd("FileWriter._reopenFd");
 
         // setTimeout would be faster than Date.now, but must guarantee .05 sec
         this.reopenTime = Date.now() + this.reopenInterval;
-        fs.open(this.filename, mode, function(err, fd) {
+        this._reopenRequested = false;
+        openFile(this.filename, mode, this.createOptions, function(err, fd) {
             if (err) {
                 if (err.message.indexOf("ENOENT, ") === 0 &&
                     self.openmode[0] !== 'r' &&
@@ -84,6 +135,7 @@ FileWriter.prototype = {
                 }
                 return callback(err);
             }
+            if (!self.isFirstOpen) self.stats.reopenCount += 1;
             self.isFirstOpen = false;
             self.fd = fd;
             callback(null, fd);
@@ -95,20 +147,27 @@ FileWriter.prototype = {
         else return this._reopenFd(callback);
     },
 
+    // get the locked fd of the file, and the function to unlock it
     _getLockedFd: function _getLockedFd(callback) {
         var self = this;
         this._getFd(function(err, fd) {
             if (err) return callback(err);
-            flock(fd, "ex", function(err) {
+            var lockTime = Date.now();
+            self._locker.lock(fd, self.filename, function(err, unlockFd) {
+                self.stats.lockWaitMs += Date.now() - lockTime;
                 if (err) return callback(err);
-                if (Date.now() < self.reopenTime) {
-                    // grab and lock the fd and only then test reopenTime, since
+                self._locksHeld += 1;
+                var unlock = function() { self._locksHeld -= 1; unlockFd() };
+                var reopenDue;
+                try { reopenDue = self._isReopenDue(fd) } catch (err) { unlock(); return callback(err) }
+                if (!reopenDue) {
+                    // grab and lock the fd and only then test whether to reopen, since
                     // the expectation is that most writes will be bunched
                     // NOTE: this is also needed for correct renameFile
-                    return callback(null, fd);
+                    return callback(null, fd, unlock);
                 }
                 else {
-                    flockSync(fd, "un");
+                    unlock();
                     self._reopenFd(function(err, fd) {
                         if (err) return callback(err);
                         self._getLockedFd(callback);
@@ -118,54 +177,324 @@ FileWriter.prototype = {
         })
     },
 
+    // whether the fd has to be reopened before writing, per the reopen policy
+    _isReopenDue: function _isReopenDue( fd ) {
+        if (this._reopenRequested) return true;
+        if (this.reopenPolicy === 'interval') return Date.now() >= this.reopenTime;
+
+        // inode: reopen if the file was removed, or renamed and maybe replaced
+        var fdStat = fs.fstatSync(fd), fileStat;
+        if (fdStat.nlink === 0) return true;
+        try { fileStat = fs.statSync(this.filename) } catch (err) { if (err.code === 'ENOENT') return true; throw err }
+        return fileStat.ino !== fdStat.ino || fileStat.dev !== fdStat.dev;
+    },
+
+    // reopen the file before the next write, eg on SIGHUP after logrotate
+    reopen: function reopen( ) {
+        this._reopenRequested = true;
+    },
+
+    // get the locked fd of the file, rotating the file first if it is due
+    _getLockedRotatedFd: function _getLockedRotatedFd(callback) {
+        var self = this;
+        this._getLockedFd(function(err, fd, unlock) {
+            if (err || !self.rotate) return callback(err, fd, unlock);
+            var rotated;
+            try { rotated = self._rotateLockedFd(fd) }
+            catch (err) { unlock(); return callback(err) }
+            if (!rotated) return callback(null, fd, unlock);
+            if (typeof rotated === 'string' && self.rotate.compress) self._compressRotated(rotated);
+            // switch to the new file, which is small and will not rotate again
+            unlock();
+            self._reopenFd(function(err, fd) {
+                if (err) return callback(err);
+                self._getLockedRotatedFd(callback);
+            });
+        });
+    },
+
+    // synchronous _getLockedRotatedFd, returns the function to unlock the fd
+    _getLockedRotatedFdSync: function _getLockedRotatedFdSync( ) {
+        if (this.fd === undefined) this._reopenFdSync();
+        var lockTime = Date.now();
+        var unlock = this._locker.lockSync(this.fd, this.filename);
+        this.stats.lockWaitMs += Date.now() - lockTime;
+        var reopenDue;
+        try { reopenDue = this._isReopenDue(this.fd) } catch (err) { unlock(); throw err }
+        if (reopenDue) {
+            unlock();
+            this._reopenFdSync();
+            return this._getLockedRotatedFdSync();
+        }
+        if (!this.rotate) return unlock;
+        var rotated;
+        try { rotated = this._rotateLockedFd(this.fd) }
+        catch (err) { unlock(); throw err }
+        if (!rotated) return unlock;
+        if (typeof rotated === 'string' && this.rotate.compress) this._compressRotated(rotated);
+        unlock();
+        this._reopenFdSync();
+        return this._getLockedRotatedFdSync();
+    },
+
+    _reopenFdSync: function _reopenFdSync( ) {
+        var mode = this.isFirstOpen ? this.openmode : this.reopenmode;
+        if (this.fd !== undefined) this._closeFd("FileWriter._reopenFdSync");
+        this.reopenTime = Date.now() + this.reopenInterval;
+        this._reopenRequested = false;
+        this.fd = openFileSync(this.filename, mode, this.createOptions);
+        if (!this.isFirstOpen) this.stats.reopenCount += 1;
+        this.isFirstOpen = false;
+    },
+
+    // compress the rotated file in the background, once the other writers have switched to the new file
+    _compressRotated: function _compressRotated( rotated ) {
+        var options = {format: this.rotate.compress, waitMs: reopenWaitMs(this, this.lockProvider), mutexTimeout: this.mutexTimeout, lock: this.lockProvider};
+        var self = this;
+        FileWriter.compressFile(rotated, options, function(err) {
+            if (err) self.reportError(err);
+        });
+    },
+
+    reportError: function reportError( err ) {
+        if (this._onError) this._onError(err);
+        else if (!this._error) this._error = err;
+    },
+
+    returnError: function returnError( ) {
+        var err = this._error;
+        this._error = null;
+        return err;
+    },
+
+    setOnError: function setOnError( handler ) {
+        this._onError = handler;
+        if (this._error) handler(this.returnError());
+        return this;
+    },
+
+    // rotate the file if it is due.  The caller holds the write lock on fd.
+    // Returns truthy if the fd no longer names the file and must be reopened,
+    // the new name of the file if it was rotated by us.
+    _rotateLockedFd: function _rotateLockedFd(fd) {
+        var fdStat = fs.fstatSync(fd), fileStat;
+        try { fileStat = fs.statSync(this.filename) } catch (err) { if (err.code !== 'ENOENT') throw err }
+
+        // if another writer already rotated the file, just switch to the new file
+        if (!fileStat || fileStat.ino !== fdStat.ino || fileStat.dev !== fdStat.dev) return true;
+
+        if (!fdStat.size || !isRotationDue(this.rotate, fdStat, Date.now())) return false;
+
+        // the wx guard in renameFileSync keeps an existing generation from being overwritten
+        var dirname = path.dirname(this.filename);
+        var basename = path.join(dirname, formatFilename(this.rotate.pattern, fdStat.mtime));
+        var rotatedName;
+        for (var seq = 0; ; seq++) {
+            rotatedName = seq ? basename + '.' + seq : basename;
+            // also skip names whose compressed version already exists
+            if (this.rotate.compress && fileExists(rotatedName + (this.rotate.compress === 'deflate' ? '.deflate' : '.gz'))) continue;
+            try { renameFileSync(this.filename, rotatedName); break }
+            catch (err) { if (err.code !== 'EEXIST') throw err }
+        }
+
+        if (this.rotate.keep) pruneGenerations(dirname, this.rotate.pattern, this.rotate.keep);
+        return rotatedName;
+    },
+
     // atomically append the string to the file
     write: function write(str, cb) {
+        if (typeof cb !== 'function') return _callAsPromise(this, write, [str]);
+        var self = this;
+        // until it gets the lock the write can still be made by writeSync, eg on exit
+        var pending = { data: str, written: false };
+        this._pendingWrites.push(pending);
+        if (this.gzip) {
+            // compress before locking, to not hold the lock longer than the write
+            return zlib.gzip(Buffer.isBuffer(str) ? str : fromBuf(str, this.encoding), function(err, gz) {
+                if (err) { self._removePending(pending); return cb(err) }
+                self._writeLocked(gz, pending, cb);
+            });
+        }
+        this._writeLocked(str, pending, cb);
+    },
+
+    // atomically append the list of Buffers to the file with a single fs.writev, without
+    // concatenating them.  Without fs.writev, or if the data is compressed or must be written
+    // in whole lines for the append lock, the Buffers are concatenated and written.
+    writev: function writev(buffers, cb) {
+        if (typeof cb !== 'function') return _callAsPromise(this, writev, [buffers]);
+        if (typeof fs.writev !== 'function' || this.gzip || this._locker.atomicAppend) return this.write(Buffer.concat(buffers), cb);
+        var pending = { data: buffers, written: false };
+        this._pendingWrites.push(pending);
+        this._writeLocked(buffers, pending, cb);
+    },
+
+    _writeLocked: function _writeLocked(str, pending, cb) {
         var self = this;
-        this._getLockedFd(function(err, fd) {
+        this._getLockedRotatedFd(function(err, fd, unlock) {
+            self._removePending(pending);
+            if (pending.written !== false) {
+                if (unlock) unlock();
+                return cb(null, pending.written);
+            }
             if (err) return cb(err);
-            var buf, nbytes;
-            if (Buffer.isBuffer(str)) {
-                buf = str;
-                nbytes = buf.length;
+            var buf = str, nbytes = str.length, reuse = false;
+            if (Array.isArray(str)) {
+                nbytes = 0;
+                for (var i = 0; i < str.length; i++) nbytes += str[i].length;
             }
-            else {
-                // reuse the write buffer as much as possible, to cut down on rss churn
-                buf = self._writebuf;
-                nbytes = buf.write(str);
-                if (nbytes > buf.length - 4) {
-                    buf = fromBuf(str);
-                    nbytes = buf.length;
-                }
+            else if (!Buffer.isBuffer(str)) {
+                // reuse the write buffer as much as possible, to cut down on rss churn.
+                // Longer strings, and strings written while it is in use, get their own buffer
+                nbytes = Buffer.byteLength(str, self.encoding);
+                reuse = nbytes <= self._writebuf.length && !self._writebufBusy;
+                if (reuse) self._writebuf.write(str, 0, nbytes, self.encoding);
+                buf = reuse ? self._writebuf : fromBuf(str, self.encoding);
+                self._writebufBusy = self._writebufBusy || reuse;
             }
             // write(fd, buf, bufOffset, byteCount, fileOffset, cb)
-            fs.write(fd, buf, 0, nbytes, null, function(err, nb) {
-                flockSync(fd, "un");
-                cb(err, nb);
+            var writeFd = Array.isArray(buf) ? writeBuffers : self._locker.atomicAppend ? writeAtomicAppends : fs.write;
+            writeFd(fd, buf, 0, nbytes, null, function(err, nb) {
+                if (reuse) self._writebufBusy = false;
+                self.stats.writeCalls += 1;
+                if (nb > 0) self.stats.bytesWritten += nb;
+                if (err || self.durability === 'none') {
+                    unlock();
+                    return cb(err, nb);
+                }
+                if (self.durability === 'everyWrite') {
+                    // sync before unlocking, the next writer may reopen and close the fd
+                    return fs.fdatasync(fd, function(err) {
+                        unlock();
+                        cb(err, nb);
+                    });
+                }
+                unlock();
+                self._dirty = true;
+                if (self.durability === 'interval' && !self._syncTimer) {
+                    self._syncTimer = setTimeout(function() {
+                        self._syncTimer = null;
+                        self.fsync(function(err) {
+                            if (err) self._syncError = err;
+                        });
+                    }, self.syncInterval);
+                    if (self._syncTimer.unref) self._syncTimer.unref();
+                }
+                cb(self._takeSyncError(), nb);
             });
         });
     },
 
+    _removePending: function _removePending( pending ) {
+        var ix = this._pendingWrites.indexOf(pending);
+        if (ix >= 0) this._pendingWrites.splice(ix, 1);
+    },
+
+    // synchronously make the writes still waiting for the file or the lock
+    fflushSync: function fflushSync( ) {
+        while (this._pendingWrites.length) {
+            var pending = this._pendingWrites.shift();
+            pending.written = this._writeSync(pending.data);
+        }
+    },
+
+    // synchronously append the string or Buffer to the file, for when async i/o is not possible
+    // eg on process exit.  The pending async writes are made first.  Returns the number of bytes written.
+    writeSync: function writeSync( str ) {
+        this.fflushSync();
+        return this._writeSync(str);
+    },
+
+    _writeSync: function _writeSync( str ) {
+        // the writev Buffers are written with writevSync, else they were concatenated already
+        var buf = Buffer.isBuffer(str) || Array.isArray(str) ? str : fromBuf(str, this.encoding);
+        if (this.gzip) buf = zlib.gzipSync(buf);
+        // if an async write holds the lock it cannot release it from here, so write under its lock
+        var unlock = this._locksHeld ? function() {} : this._getLockedRotatedFdSync();
+        var nb;
+        try {
+            nb = Array.isArray(buf) ? fs.writevSync(this.fd, buf) :
+                this._locker.atomicAppend ? writeAtomicAppendsSync(this.fd, buf) : fs.writeSync(this.fd, buf, 0, buf.length, null);
+            this.stats.writeCalls += 1;
+            this.stats.bytesWritten += nb;
+            if (this.durability === 'everyWrite' || this.durability === 'onFlush') fs.fdatasyncSync(this.fd);
+            else if (this.durability === 'interval') this._dirty = true;
+        }
+        finally {
+            unlock();
+        }
+        return nb;
+    },
+
+    // flush the written data to stable storage.  Also returns the error of an earlier background sync
+    fsync: function fsync( cb ) {
+        if (typeof cb !== 'function') return _callAsPromise(this, fsync, []);
+        var syncError = this._takeSyncError();
+        if (!this._dirty || this.fd === undefined) return cb(syncError);
+        var self = this;
+        this._dirty = false;
+        this._fsyncing += 1;
+        fs.fdatasync(this.fd, function(err) {
+            if (--self._fsyncing === 0) {
+                while (self._closeAfterSync.length) {
+                    try { fs.closeSync(self._closeAfterSync.shift()) } catch (e) { }
+                }
+            }
+            // if the sync failed the data may still be unsynced
+            if (err) self._dirty = true;
+            cb(syncError || err);
+        });
+    },
+
+    _takeSyncError: function _takeSyncError( ) {
+        var err = this._syncError;
+        this._syncError = null;
+        return err;
+    },
+
     // close the file
     close: function close( ) {
-        try { if (this.fd) fs.closeSync(this.fd); }
-        catch (err) { console.log("FileWriter.close: closeSync: " + err.message) }
+        if (this._syncTimer) { clearTimeout(this._syncTimer); this._syncTimer = null }
+        if (this.fd !== undefined) this._closeFd("FileWriter.close");
+    },
+
+    _closeFd: function _closeFd( caller ) {
+        // closing the file does not sync it, do that first if asked for durability.
+        // A failed sync is returned by the next write callback or fsync, the fd cannot be synced again
+        if (this._dirty && this.durability !== 'none') {
+            try { fs.fdatasyncSync(this.fd) } catch (err) { this._syncError = this._syncError || err }
+        }
+        this._dirty = false;
+        // do not close the fd out from under a pending fsync
+        if (this._fsyncing) this._closeAfterSync.push(this.fd);
+        else try { fs.closeSync(this.fd); } catch (err) { console.log(caller + ": closeSync: " + err.message) }
         this.fd = undefined;
     },
 
     // rename the file and wait for write activity to cease
     mutexTimeout: 5000,
     renameFile: function renameFile( oldName, newName, waitMs, callback ) {
+        if (typeof callback !== 'function' && typeof waitMs !== 'function') {
+            return _callAsPromise(this, renameFile, waitMs === undefined ? [oldName, newName] : [oldName, newName, waitMs]);
+        }
         if (!callback && typeof waitMs === 'function') {
             callback = waitMs;
-            waitMs = 50;
+            waitMs = undefined;
         }
         var options = {};
         if (typeof waitMs === 'object') {
             options = waitMs;
-            waitMs = options.waitMs || 50;
+            waitMs = options.waitMs;
+        }
+        var lock = options.lock || callerLockProvider(this);
+        if (waitMs === undefined) {
+            // long enough for the writers to notice the rename, per their reopen policy
+            var policy = options.reopen ? parseReopenPolicy(options.reopen) : (this && this._isFileWriter ? this : parseReopenPolicy('interval'));
+            waitMs = reopenWaitMs(policy, lock === 'auto' ? selectLockProvider(oldName) : lock);
         }
         var mutexTimeout = options.mutexTimeout || ((this && this.mutexTimeout) ? this.mutexTimeout : FileWriter.mutexTimeout);
-        var fd, guard;
+        var createOptions = parseCreateOptions(options);
+        var fd, unlock;
 
         runSteps([
             function(cb) {
@@ -181,12 +510,13 @@ FileWriter.prototype = {
                 // renameSync overwrites an existing newName, does not throw an error
                 // prevent a rename-rename race condition by first getting exclusive rights to newName
                 // an EEXIST error from here means the target file newName already exists
-                fs.closeSync(fs.openSync(newName, 'wx'));
+                fs.closeSync(openFileSync(newName, 'wx', createOptions));
                 cb();
             },
             function(cb) {
-                // the actual rename
+                // the actual rename.  The renamed file keeps its own permissions unless mode, uid or gid were given
                 fs.renameSync(oldName, newName);
+                setOwnerAndMode(newName, createOptions);
                 cb();
             },
             function(cb) {
@@ -195,26 +525,470 @@ FileWriter.prototype = {
             },
             function(cb) {
                 // obtain a write lock on the file to ensure that the very last write is done.
-                // Error out if the write takes longer than mutexTimeout to finish.
                 // an ENOENT or EACCESS from here means the target file was deleted or read-protected
-                var done = false;
-                function cbOnce(err) { if (!done) { done = true; cb(err) } }
-                guard = setTimeout(function() {
-                    cbOnce(new Error("timed out waiting for last write to finish"));
-                }, mutexTimeout);
-                fd = fs.openSync(newName, 'r');
-                fse.flock(fd, 'ex', cbOnce);
+                // The writers lock the file by its old name, ie in the old directory.
+                var options = { mutexTimeout: mutexTimeout, lock: lock, lockFilename: oldName };
+                lockLastWrite(newName, options, function(err, lockedFd, unlockFd) { fd = lockedFd; unlock = unlockFd; cb(err) });
             },
         ],
             function(err) {
                 // the renamed file, still locked by us, is ready to use
-                if (guard && global.clearTimeout) clearTimeout(guard);
-                // closing the file descriptor also releases the lock
+                if (unlock) unlock();
+                if (fd !== undefined) try { fs.closeSync(fd) } catch (e) { err = err || e }
+                return callback(err);
+            }
+        )
+    },
+
+    // compress the file into filename.gz (or .deflate) and remove the original
+    compressFile: function compressFile( filename, options, callback ) {
+        if (typeof callback !== 'function' && typeof options !== 'function') {
+            return _callAsPromise(this, compressFile, options === undefined ? [filename] : [filename, options]);
+        }
+        if (!callback) { callback = options; options = {} }
+        options = options || {};
+        var format = options.format === 'deflate' ? 'deflate' : 'gzip';
+        var waitMs = options.waitMs || 0;
+        var mutexTimeout = options.mutexTimeout || ((this && this.mutexTimeout) ? this.mutexTimeout : FileWriter.mutexTimeout);
+        var lock = options.lock || callerLockProvider(this);
+        var fd, unlock;
+
+        runSteps([
+            function(cb) {
+                // give writers still using an old fd time to notice the file was renamed
+                setTimeout(cb, waitMs);
+            },
+            function(cb) {
+                var options = { mutexTimeout: mutexTimeout, lock: lock };
+                lockLastWrite(filename, options, function(err, lockedFd, unlockFd) { fd = lockedFd; unlock = unlockFd; cb(err) });
+            },
+            function(cb) {
+                // the wx flag keeps an existing compressed file from being overwritten
+                var zipper = format === 'deflate' ? zlib.createDeflate() : zlib.createGzip();
+                var output = fs.createWriteStream(filename + (format === 'deflate' ? '.deflate' : '.gz'), {flags: 'wx'});
+                pipeline(fs.createReadStream(filename), zipper, output, cb);
+            },
+            function(cb) {
+                fs.unlinkSync(filename);
+                cb();
+            },
+        ],
+            function(err) {
+                if (unlock) unlock();
                 if (fd !== undefined) try { fs.closeSync(fd) } catch (e) { err = err || e }
                 return callback(err);
             }
         )
     },
+
+    // return the write counters, the milliseconds spent waiting for the lock and the number of reopens
+    getStats: function getStats( ) {
+        return {
+            writeCalls: this.stats.writeCalls,
+            bytesWritten: this.stats.bytesWritten,
+            lockWaitMs: this.stats.lockWaitMs,
+            reopenCount: this.stats.reopenCount,
+        };
+    },
+
+    // return the name of the lock provider in use
+    getLockProvider: function getLockProvider( ) {
+        return this.lockProvider;
+    },
+}
+
+// the lock provider of the FileWriter, or of the writable of the Fputs, renameFile was called on
+function callerLockProvider( self ) {
+    if (self && self._isFileWriter) return self.lockProvider;
+    if (self && self.writable && self.writable.lockProvider) return self.writable.lockProvider;
+    return 'auto';
+}
+
+// open and write-lock the file, to wait for any write in progress to finish.
+// Errors out if the write takes longer than mutexTimeout to finish.
+// Returns the open fd even on error, for the caller to close, and the unlock function once locked.
+// options: {mutexTimeout, lock, lockFilename}, lockFilename the name the writers lock the file by
+function lockLastWrite( filename, options, callback ) {
+    var done = false, fd;
+    var locker = makeLockProvider(options.lock || 'auto', undefined, options.lockFilename || filename);
+    function cbOnce(err, unlock) { if (!done) { done = true; if (global.clearTimeout) clearTimeout(guard); callback(err, fd, unlock) } }
+    var guard = setTimeout(function() {
+        cbOnce(new Error("timed out waiting for last write to finish"));
+    }, options.mutexTimeout);
+    try { fd = fs.openSync(filename, 'r') } catch (err) { return cbOnce(err) }
+    locker.lock(fd, options.lockFilename || filename, function(err, unlock) {
+        // a lock obtained after the timeout is not wanted anymore
+        if (done && unlock) unlock();
+        cbOnce(err, unlock);
+    });
+}
+
+/*
+ * Lock providers serialize the appends of the processes sharing the file.
+ * lock(fd, filename, cb(err, unlock)) waits for and takes the lock, lockSync(fd, filename)
+ * takes it synchronously and returns the unlock function.
+ *
+ *     flock:       flock(LOCK_EX) the fd, needs the fs-ext native extension
+ *     lockfile:    create a lockfile with O_EXCL next to the file, owned by pid@hostname
+ *     mkdir:       create a lock directory next to the file, works over NFS too
+ *     append:      no lock, instead each write() is at most PIPE_BUF bytes of whole lines,
+ *                  which O_APPEND appends atomically.  renameFile cannot wait for the last write.
+ *     none:        no lock, each chunk is appended with a single write()
+ *
+ * The lockfiles are named for the device and inode of the file, to still lock the file
+ * after it was renamed.  A lock older than staleLockMs, or a lockfile whose owner process
+ * on this host no longer exists, is stale and is removed.
+ */
+var LOCK_PROVIDERS = ['flock', 'lockfile', 'mkdir', 'append', 'none'];
+var PIPE_BUF = 4096;
+var STALE_LOCK_MS = 10000;
+
+// flock if fs-ext is installed, else lockfiles if the directory of the file is writable,
+// else no lock.  Eg /var/log is not writable by the applications logging to it.
+function selectLockProvider( filename ) {
+    if (fse) return 'flock';
+    return (filename && isDirWritable(path.dirname(path.resolve(filename)))) ? 'lockfile' : 'none';
+}
+
+// whether the directory, or the nearest existing parent a mkdirp would create it in, is writable
+function isDirWritable( dirname ) {
+    if (!fs.accessSync) return false;
+    try { fs.accessSync(dirname, fs.W_OK); return true }
+    catch (err) {
+        var parent = path.dirname(dirname);
+        return err.code === 'ENOENT' && parent !== dirname && isDirWritable(parent);
+    }
+}
+
+function makeLockProvider( name, staleLockMs, filename ) {
+    if (name === 'auto') name = selectLockProvider(filename);
+    if (LOCK_PROVIDERS.indexOf(name) < 0) throw new Error("unknown lock provider " + name);
+    if (name === 'flock' && !fse) throw new Error("flock locks need fs-ext, not installed");
+    staleLockMs = staleLockMs || STALE_LOCK_MS;
+    var noop = function() {};
+
+    switch (name) {
+    case 'flock':
+        return {
+            name: name,
+            lock: function(fd, filename, cb) {
+                fse.flock(fd, 'ex', function(err) { cb(err, err ? undefined : function() { flockSync(fd, 'un') }) });
+            },
+            lockSync: function(fd, filename) {
+                fse.flockSync(fd, 'ex');
+                return function() { flockSync(fd, 'un') };
+            },
+        };
+    case 'lockfile':
+    case 'mkdir':
+        var create = name === 'mkdir' ? createLockDir : createLockFile;
+        var remove = name === 'mkdir' ? fs.rmdirSync : fs.unlinkSync;
+        return {
+            name: name,
+            lock: function(fd, filename, cb) {
+                var lockName, delay = 1;
+                try { lockName = lockFilename(fd, filename) } catch (err) { return cb(err) }
+                (function tryLock() {
+                    try { if (takeLock(lockName, create, remove, staleLockMs)) return cb(null, function() { removeLock(lockName, remove) }) }
+                    catch (err) { return cb(err) }
+                    setTimeout(tryLock, delay);
+                    delay = Math.min(2 * delay, 20);
+                })();
+            },
+            lockSync: function(fd, filename) {
+                var lockName = lockFilename(fd, filename), delay = 1;
+                while (!takeLock(lockName, create, remove, staleLockMs)) {
+                    sleepMs(delay);
+                    delay = Math.min(2 * delay, 20);
+                }
+                return function() { removeLock(lockName, remove) };
+            },
+        };
+    case 'append':
+    case 'none':
+        return {
+            name: name,
+            atomicAppend: name === 'append',
+            lock: function(fd, filename, cb) { cb(null, noop) },
+            lockSync: function(fd, filename) { return noop },
+        };
+    }
+}
+
+function lockFilename( fd, filename ) {
+    var stat = fs.fstatSync(fd);
+    return path.join(path.dirname(filename), '.qfputs-' + stat.dev + '-' + stat.ino + '.lock');
+}
+
+// try to take the lock, removing it if stale.  Returns true if locked, false if busy.
+// Note: two processes removing the same stale lock can race, and both end up holding it.
+function takeLock( lockName, create, remove, staleLockMs ) {
+    try { create(lockName); return true }
+    catch (err) { if (err.code !== 'EEXIST') throw err }
+    if (!isStaleLock(lockName, staleLockMs)) return false;
+    try { remove(lockName) } catch (err) { if (err.code !== 'ENOENT') throw err }
+    try { create(lockName); return true }
+    catch (err) { if (err.code !== 'EEXIST') throw err; return false }
+}
+
+function removeLock( lockName, remove ) {
+    try { remove(lockName) } catch (err) { }
+}
+
+function createLockFile( lockName ) {
+    var fd = fs.openSync(lockName, 'wx');
+    try { fs.writeSync(fd, process.pid + '@' + os.hostname()) }
+    finally { fs.closeSync(fd) }
+}
+
+function createLockDir( lockName ) {
+    fs.mkdirSync(lockName);
+}
+
+function isStaleLock( lockName, staleLockMs ) {
+    var stat;
+    try { stat = fs.statSync(lockName) } catch (err) { return err.code === 'ENOENT' }
+    if (Date.now() - stat.mtime.getTime() > staleLockMs) return true;
+    if (!stat.isFile()) return false;
+    // the lockfile names its owner, which may have exited without unlocking
+    var owner;
+    try { owner = String(fs.readFileSync(lockName)).split('@') } catch (err) { return false }
+    return owner.length === 2 && owner[1] === os.hostname() && !processExists(parseInt(owner[0]));
+}
+
+function processExists( pid ) {
+    try { process.kill(pid, 0); return true }
+    catch (err) { return err.code === 'EPERM' }
+}
+
+function writeAtomicAppendsSync( fd, buf ) {
+    var offset = 0;
+    while (offset < buf.length) offset += fs.writeSync(fd, buf, offset, atomicAppendLength(buf, offset, buf.length), null);
+    return offset;
+}
+
+// the length of the whole lines starting at offset that fit into PIPE_BUF, else of the first line
+function atomicAppendLength( buf, offset, end ) {
+    if (end - offset <= PIPE_BUF) return end - offset;
+    var eol = buf.lastIndexOf(10, offset + PIPE_BUF - 1);
+    if (eol < offset) eol = buf.indexOf(10, offset + PIPE_BUF);
+    return (eol >= 0 && eol < end) ? eol + 1 - offset : end - offset;
+}
+
+function sleepMs( ms ) {
+    if (typeof SharedArrayBuffer === 'function' && typeof Atomics === 'object') {
+        Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+    }
+    else for (var until = Date.now() + ms; Date.now() < until; ) ;
+}
+
+// write the buffer in single write() calls of whole lines of at most PIPE_BUF bytes.
+// A line longer than PIPE_BUF is written whole, it cannot be appended atomically.
+function writeAtomicAppends( fd, buf, offset, nbytes, position, cb ) {
+    var end = offset + nbytes, written = 0;
+    (function writeLoop() {
+        if (offset >= end) return cb(null, written);
+        var len = atomicAppendLength(buf, offset, end);
+        fs.write(fd, buf, offset, len, null, function(err, nb) {
+            if (err) return cb(err, written);
+            written += nb;
+            offset += nb;
+            writeLoop();
+        });
+    })();
+}
+
+// fs.writev with the fs.write arguments
+function writeBuffers( fd, buffers, offset, nbytes, position, cb ) {
+    fs.writev(fd, buffers, position, cb);
+}
+
+// parse the reopen policy 'interval', 'interval:ms' or 'inode' into {reopenPolicy, reopenInterval}
+function parseReopenPolicy( policy ) {
+    if (policy === 'inode') return { reopenPolicy: 'inode', reopenInterval: 0 };
+    if (policy === 'interval') return { reopenPolicy: 'interval', reopenInterval: 50 };
+    if (/^interval:\d+$/.test(policy)) return { reopenPolicy: 'interval', reopenInterval: parseInt(policy.slice(9)) };
+    throw new Error("invalid reopen policy " + policy);
+}
+
+// how long until the writers notice that the file was renamed.  Writers that check
+// the inode notice it under the write lock, so waiting for the lock is enough if there is one.
+// Without a lock a writer may have checked just before the rename, allow its write to finish.
+function reopenWaitMs( policy, lock ) {
+    if (policy.reopenPolicy !== 'inode') return policy.reopenInterval;
+    return (lock === 'append' || lock === 'none') ? parseReopenPolicy('interval').reopenInterval : 0;
+}
+
+// the file creation options {mkdirp, mode, uid, gid}.  The mode can be an octal string like '0640'
+function parseCreateOptions( opts ) {
+    var mode = typeof opts.mode !== 'string' ? opts.mode : /^[0-7]+$/.test(opts.mode) ? parseInt(opts.mode, 8) : NaN;
+    if (mode !== undefined && !(mode >= 0 && mode <= 4095)) throw new Error("invalid file mode " + opts.mode);
+    return { mkdirp: !!opts.mkdirp, mode: mode, uid: opts.uid, gid: opts.gid };
+}
+
+function hasCreateOptions( flags, opts ) {
+    return flags[0] !== 'r' && (opts.mkdirp || opts.mode !== undefined || opts.uid !== undefined || opts.gid !== undefined);
+}
+
+// open the file, and if it had to be created give it the mode and owner in opts.  Creating it
+// O_EXCL first tells whether this open created it.  The mode is set with fchmod, unmasked by the umask.
+function openFile( filename, flags, opts, callback ) {
+    if (!hasCreateOptions(flags, opts)) return fs.open(filename, flags, callback);
+    var exclusive = flags.indexOf('x') >= 0;
+    fs.open(filename, exclusive ? flags : flags.replace(/^([aw])/, '$1x'), opts.mode, function(err, fd) {
+        if (err && err.code === 'EEXIST' && !exclusive) return fs.open(filename, flags, callback);
+        if (err && err.code === 'ENOENT' && opts.mkdirp) {
+            return mkdirp(path.dirname(filename), function(err) {
+                if (err) return callback(err);
+                openFile(filename, flags, { mode: opts.mode, uid: opts.uid, gid: opts.gid }, callback);
+            });
+        }
+        if (err) return callback(err);
+        try { setCreatedOwnerAndMode(fd, opts) } catch (err) { fs.closeSync(fd); return callback(err) }
+        callback(null, fd);
+    });
+}
+
+// create the directory and its missing parents one by one, node before v10.12 ignores mkdir {recursive}
+function mkdirp( dirname, callback ) {
+    fs.mkdir(dirname, function(err) {
+        var parent = path.dirname(dirname);
+        if (!err || err.code === 'EEXIST') return callback(null);
+        if (err.code !== 'ENOENT' || parent === dirname) return callback(err);
+        mkdirp(parent, function(err) {
+            if (err) return callback(err);
+            fs.mkdir(dirname, function(err) { callback(err && err.code !== 'EEXIST' ? err : null) });
+        });
+    });
+}
+
+function mkdirpSync( dirname ) {
+    try { fs.mkdirSync(dirname) }
+    catch (err) {
+        var parent = path.dirname(dirname);
+        if (err.code === 'EEXIST') return;
+        if (err.code !== 'ENOENT' || parent === dirname) throw err;
+        mkdirpSync(parent);
+        try { fs.mkdirSync(dirname) } catch (err) { if (err.code !== 'EEXIST') throw err }
+    }
+}
+
+function openFileSync( filename, flags, opts ) {
+    if (!hasCreateOptions(flags, opts)) return fs.openSync(filename, flags);
+    var exclusive = flags.indexOf('x') >= 0;
+    var fd;
+    try { fd = fs.openSync(filename, exclusive ? flags : flags.replace(/^([aw])/, '$1x'), opts.mode) }
+    catch (err) {
+        if (err.code === 'EEXIST' && !exclusive) return fs.openSync(filename, flags);
+        if (err.code !== 'ENOENT' || !opts.mkdirp) throw err;
+        mkdirpSync(path.dirname(filename));
+        return openFileSync(filename, flags, { mode: opts.mode, uid: opts.uid, gid: opts.gid });
+    }
+    try { setCreatedOwnerAndMode(fd, opts) } catch (err) { fs.closeSync(fd); throw err }
+    return fd;
+}
+
+function setCreatedOwnerAndMode( fd, opts ) {
+    if (opts.mode !== undefined) fs.fchmodSync(fd, opts.mode);
+    if (opts.uid !== undefined || opts.gid !== undefined) fs.fchownSync(fd, ownerId(opts.uid), ownerId(opts.gid));
+}
+
+function setOwnerAndMode( filename, opts ) {
+    if (opts.mode !== undefined) fs.chmodSync(filename, opts.mode);
+    if (opts.uid !== undefined || opts.gid !== undefined) fs.chownSync(filename, ownerId(opts.uid), ownerId(opts.gid));
+}
+
+// -1 leaves the owner or group unchanged
+function ownerId( id ) {
+    return id === undefined ? -1 : id;
+}
+
+// rename oldName to newName only if newName does not already exist
+function renameFileSync( oldName, newName ) {
+    fs.closeSync(fs.openSync(newName, 'wx'));
+    fs.renameSync(oldName, newName);
+}
+
+// size rotation when the file reaches maxBytes, time rotation when the last write
+// was made in an earlier interval.  Intervals are aligned to local time.
+function isRotationDue( rotate, stat, now ) {
+    if (rotate.maxBytes && stat.size >= rotate.maxBytes) return true;
+    if (rotate.interval) {
+        var mtime = stat.mtime.getTime();
+        var mtimePeriod = Math.floor((mtime - stat.mtime.getTimezoneOffset() * 60000) / rotate.interval);
+        var nowPeriod = Math.floor((now - new Date(now).getTimezoneOffset() * 60000) / rotate.interval);
+        if (mtimePeriod < nowPeriod) return true;
+    }
+    return false;
+}
+
+// expand the strftime-like %Y %m %d %H %M %S %% conversions in the pattern
+function formatFilename( pattern, date ) {
+    function pad(n) { return n < 10 ? '0' + n : '' + n }
+    return pattern.replace(/%([YmdHMS%])/g, function(match, conv) {
+        switch (conv) {
+        case 'Y': return '' + date.getFullYear();
+        case 'm': return pad(date.getMonth() + 1);
+        case 'd': return pad(date.getDate());
+        case 'H': return pad(date.getHours());
+        case 'M': return pad(date.getMinutes());
+        case 'S': return pad(date.getSeconds());
+        case '%': return '%';
+        }
+    });
+}
+
+// remove all but the newest keep rotated files named by the pattern
+// Generations may have a .N sequence suffix and a compression extension, and
+// a generation being compressed is present both with and without the extension.
+function pruneGenerations( dirname, pattern, keep ) {
+    var regex = new RegExp('^(' + pattern.split(/(%[YmdHMS%])/).map(function(part) {
+        if (part === '%Y') return '\\d{4}';
+        if (part === '%%') return '%';
+        if (/^%[mdHMS]$/.test(part)) return '\\d{2}';
+        return part.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+    }).join('') + '(\\.\\d+)?)(\\.gz|\\.deflate)?$');
+
+    var generations = {}, match;
+    var names = fs.readdirSync(dirname);
+    for (var i = 0; i < names.length; i++) {
+        if (!(match = regex.exec(names[i]))) continue;
+        var filepath = path.join(dirname, names[i]);
+        var mtime;
+        try { mtime = fs.statSync(filepath).mtime.getTime() } catch (err) { continue }
+        var gen = generations[match[1]] = generations[match[1]] || { name: match[1], mtime: 0, files: [] };
+        gen.files.push(filepath);
+        if (mtime > gen.mtime) gen.mtime = mtime;
+    }
+    var sorted = [];
+    for (var name in generations) sorted.push(generations[name]);
+    sorted.sort(function(a, b) { return b.mtime - a.mtime || (b.name < a.name ? -1 : 1) });
+    for (var i = keep; i < sorted.length; i++) {
+        for (var j = 0; j < sorted[i].files.length; j++) {
+            try { fs.unlinkSync(sorted[i].files[j]) } catch (err) { }
+        }
+    }
+}
+
+function fileExists( filename ) {
+    try { fs.statSync(filename); return true } catch (err) { return false }
+}
+
+// stream.pipeline, or for node before v10 pipe and call back once on the first error or on close
+function pipeline( input, zipper, output, callback ) {
+    if (stream.pipeline) return stream.pipeline(input, zipper, output, callback);
+    var done = false;
+    function cbOnce(err) {
+        if (done) return;
+        done = true;
+        if (err) { input.destroy(); output.destroy() }
+        callback(err);
+    }
+    input.on('error', cbOnce);
+    zipper.on('error', cbOnce);
+    output.on('error', cbOnce);
+    output.on('close', function() { cbOnce() });
+    input.pipe(zipper).pipe(output);
 }
 
 // runSteps from mysqule < miniq < qrepeat and aflow
@@ -226,6 +1000,22 @@ function runSteps(steps, callback) {
     })();
 }
 
+// the async methods return a Promise if called without a callback
+function _callAsPromise( self, method, args ) {
+    return new Promise(function(resolve, reject) {
+        args.push(function(err, ret) { if (err) reject(err); else resolve(ret) });
+        method.apply(self, args);
+    });
+}
+
 // expose renameFile as class method also
 FileWriter.mutexTimeout = FileWriter.prototype.mutexTimeout;
 FileWriter.renameFile = FileWriter.prototype.renameFile;
+FileWriter.compressFile = FileWriter.prototype.compressFile;
+
+// the lock providers, and the one picked by default
+FileWriter.LOCK_PROVIDERS = LOCK_PROVIDERS;
+FileWriter.getLockProvider = selectLockProvider;
+
+// the promise wrapper of the async methods, shared with the other modules
+FileWriter._callAsPromise = _callAsPromise;
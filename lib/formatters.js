@@ -0,0 +1,145 @@
+/**
+ * record formatters for Fputs.putRecord
+ *
+ * Each formatter factory returns a function that converts a record object
+ * into a newline terminated line.  The csv formatter prepends a header line
+ * to the first record it formats.
+ *
+ * Copyright (C) 2026 Andras Radics
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+module.exports = {
+    json: json,
+    logfmt: logfmt,
+    csv: csv,
+    create: create,
+};
+
+// return the formatter selected by name, or the formatter function itself
+function create( format, opts ) {
+    if (typeof format === 'function') return format;
+    if (format === 'json' || format === 'ndjson') return json(opts);
+    if (format === 'logfmt') return logfmt(opts);
+    if (format === 'csv') return csv(opts);
+    throw new Error("unknown record format " + format);
+}
+
+/*
+ * newline delimited JSON.  BigInts are converted to strings, Errors to objects
+ * with their name, message and stack, and circular references to "[Circular]".
+ */
+function json( opts ) {
+    return function formatJson( obj ) {
+        try {
+            // fast path: records without circular references are converted in one pass
+            return JSON.stringify(obj, convertJsonValue) + "\n";
+        }
+        catch (err) {
+            return JSON.stringify(obj, makeCircularReplacer()) + "\n";
+        }
+    }
+}
+
+function convertJsonValue( key, value ) {
+    if (typeof value === 'bigint') return String(value);
+    if (value instanceof Error) return errorToObject(value);
+    return value;
+}
+
+// replace references to an object that contains them with "[Circular]"
+function makeCircularReplacer( ) {
+    // the ancestors as stringified, eg an Error converted to an object, and as they were
+    var holders = [], ancestors = [];
+    return function( key, value ) {
+        if (typeof value !== 'object' || value === null) return convertJsonValue(key, value);
+        // the holder `this` is the parent of value, pop the ancestors that are done
+        while (holders.length > 0 && holders[holders.length - 1] !== this) { holders.pop(); ancestors.pop() }
+        if (ancestors.indexOf(value) >= 0) return "[Circular]";
+        ancestors.push(value);
+        value = convertJsonValue(key, value);
+        holders.push(value);
+        return value;
+    }
+}
+
+function errorToObject( err ) {
+    var obj = { name: err.name, message: err.message, stack: err.stack };
+    for (var k in err) obj[k] = err[k];
+    return obj;
+}
+
+/*
+ * logfmt key=value pairs.  Values with spaces, quotes or equal signs are quoted,
+ * objects are converted to JSON.
+ */
+function logfmt( opts ) {
+    var formatObject = json();
+    return function formatLogfmt( obj ) {
+        var line = "";
+        for (var key in obj) {
+            var value = obj[key];
+            if (value === undefined || typeof value === 'function') continue;
+            if (line) line += ' ';
+            line += key.replace(/[\s="]/g, '_') + '=' + logfmtValue(value, formatObject);
+        }
+        return line + "\n";
+    }
+}
+
+function logfmtValue( value, formatObject ) {
+    if (value instanceof Error) value = value.message;
+    else if (value !== null && typeof value === 'object') value = formatObject(value).slice(0, -1);
+    else value = String(value);
+    return (value === "" || /[\s="\\]/.test(value)) ? JSON.stringify(value) : value;
+}
+
+/*
+ * comma separated values, one record per line.
+ *
+ * options:
+ *     columns:     the record properties to output, default the properties of the first record
+ *     header:      output a header line with the column names before the first record, default true
+ *     separator:   field separator, default ','
+ */
+function csv( opts ) {
+    opts = opts || {};
+    var columns = opts.columns || null;
+    var header = opts.header !== false;
+    var separator = opts.separator || ',';
+    var formatObject = json();
+
+    var formatter = function formatCsv( obj ) {
+        if (!columns) columns = Object.keys(obj);
+        var line = "";
+        if (header) {
+            header = false;
+            line = csvLine(columns, separator, formatObject);
+        }
+        var values = new Array(columns.length);
+        for (var i = 0; i < columns.length; i++) values[i] = obj[columns[i]];
+        return line + csvLine(values, separator, formatObject);
+    }
+    // output the header again before the next record.  Nothing calls this on rotation,
+    // the rotated-in files do not get a header
+    formatter.resetHeader = function() { header = opts.header !== false };
+    return formatter;
+}
+
+function csvLine( values, separator, formatObject ) {
+    var line = "";
+    for (var i = 0; i < values.length; i++) {
+        var value = values[i];
+        if (value === undefined || value === null) value = "";
+        else if (value instanceof Error) value = value.message;
+        else if (typeof value === 'object') value = formatObject(value).slice(0, -1);
+        else value = String(value);
+        if (value.indexOf('"') >= 0 || value.indexOf(separator) >= 0 || /[\r\n]/.test(value)) {
+            value = '"' + value.replace(/"/g, '""') + '"';
+        }
+        line += (i > 0 ? separator : "") + value;
+    }
+    return line + "\n";
+}
@@ -2,7 +2,8 @@
  * Fputs -- fast buffered line-at-a-time output
  *
  * Exports fputs() and write(), both buffer data and flush in the background.
- * Fputs will buffer an unbounded amount of data; use drain() to throttle.
+ * Fputs will buffer an unbounded amount of data unless maxBuffered is set;
+ * use drain() to throttle.
  *
  * Copyright (C) 2014-2015 Andras Radics
  * Licensed under the Apache License, Version 2.0
@@ -12,9 +13,27 @@
 
 'use strict';
 
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
 var setImmediate = global.setImmediate || process.nextTick;
+var allocBuf = eval('parseInt(process.versions.node) >= 7 ? Buffer.allocUnsafe : Buffer');
 var fromBuf = eval('parseInt(process.versions.node) >= 7 ? Buffer.from : Buffer');
 var FileWriter = require('./filewriter');
+var _callAsPromise = FileWriter._callAsPromise;
+var SocketWriter = require('./socketwriter');
+var DgramWriter = require('./dgramwriter');
+var Tee = require('./tee');
+var WorkerWriter = require('./workerwriter');
+var formatters = require('./formatters');
+var linePrefix = require('./prefix');
+var LineFilter = require('./linefilter');
+var framing = require('./framing');
+var integrity = require('./integrity');
+var LineReader = require('./linereader');
+var JournalConsumer = require('./journalconsumer');
+var FputsWriteStream = require('./writestream');
 
 module.exports = (function() {
     /**
@@ -22,7 +41,31 @@ module.exports = (function() {
      *
      * options:
      *     writemode:   file open mode, default 'a'
-     *     writesize:   number of chars to write per chunk, default 100k
+     *     writesize:   number of bytes to write per chunk, default 100k
+     *     encoding:    encoding of the strings written, default utf8.  All lengths are in bytes.
+     *     rotate:      FileWriter log rotation options {maxBytes, interval, keep, pattern, compress}
+     *     gzip:        FileWriter writes each chunk as a separate gzip member
+     *     durability:  FileWriter fdatasync policy, one of none, onFlush, interval:ms, everyWrite
+     *     lock:        FileWriter lock provider, one of auto, flock, lockfile, mkdir, append, none
+     *     reopen:      FileWriter reopen policy, interval, interval:ms or inode
+     *     staleLockMs: FileWriter lockfile and mkdir lock age at which the lock is stale, default 10 sec
+     *     mkdirp:      FileWriter creates the missing parent directories of the file
+     *     mode, uid, gid: FileWriter permissions and owner of a newly created file
+     *     worker:      write the file from a worker thread, if worker threads are available, default false
+     *     ringSize:    bytes in the worker ring buffer, default 4 * writesize
+     *     maxBuffered: max number of bytes to buffer before the overflow policy applies, default unlimited
+     *     overflow:    overflow policy, one of error, dropNewest, dropOldest, spill.  Default error.
+     *     spillFile:   overflow file for the spill policy, default in os.tmpdir()
+     *     retry:       write retry policy {attempts, delay, maxDelay, codes}, default no retries
+     *     format:      putRecord formatter, json, logfmt, csv or a function, default json
+     *     formatOptions: options for the putRecord formatter, eg csv {columns, header, separator}
+     *     prefix:      fputs line prefix {timestamp, hostname, pid, tag, seq, separator, continuation}
+     *     filter:      fputs duplicate and rate limit filter {dedup, repeatInterval, rate, burst, key, maxKeys}
+     *     framing:     write each item as a binary frame, one of varint, uint32, netstring, recordio
+     *     integrity:   crc32 checksum each line or each written chunk, one of line, chunk
+     *     onStats:     function to call with getStats() every statsInterval, default none
+     *     statsInterval: milliseconds between onStats calls, default 10000
+     *     flushOnExit: write the buffered data before the process exits, default false
      */
     function Fputs( writable, opts ) {
         if (!(this instanceof Fputs)) return new Fputs(writable, opts);
@@ -31,27 +74,185 @@ module.exports = (function() {
         var openmode = opts.writemode || 'a';
         var writesize = opts.writesize || 102400;
         if (typeof writable === 'string') {
-            // convert a string filename into a FileWriter writable
-            writable = new Fputs.FileWriter(writable, {openmode: openmode, writesize: writesize});
+            // convert a string filename into a FileWriter writable, or one running in a worker thread
+            var fileOptions = {
+                openmode: openmode, writesize: writesize, rotate: opts.rotate, gzip: opts.gzip,
+                durability: opts.durability, lock: opts.lock, staleLockMs: opts.staleLockMs, reopen: opts.reopen,
+                mkdirp: opts.mkdirp, mode: opts.mode, uid: opts.uid, gid: opts.gid, encoding: opts.encoding,
+            };
+            if (opts.worker && WorkerWriter.isSupported()) {
+                fileOptions.ringSize = opts.ringSize;
+                writable = new WorkerWriter(writable, fileOptions);
+            }
+            else writable = new Fputs.FileWriter(writable, fileOptions);
         }
         if (!writable) writable = process.stdout;
 
         this.writable = writable;
         this.writesize = writesize;
         this.highWaterMark = opts.highWaterMark || this.writesize;
+        this.encoding = opts.encoding || 'utf8';
+        if (!Buffer.isEncoding(this.encoding)) throw new Error("unknown encoding " + this.encoding);
+        // base64 and hex strings do not decode the same once appended, they are buffered as bytes
+        this._mergesText = ['base64', 'base64url', 'hex'].indexOf(this.encoding.toLowerCase()) < 0;
+        // the buffered chunks, {length, text} strings or {length, chunks} lists of Buffers, length in bytes
         this.datachunks = [];
         this.unwrittenLength = 0;
         this.writtenLength = 0;
         this.resetCount = 0;
         this._syncing = false;
+        this._waiters = [];
+
+        this.maxBuffered = opts.maxBuffered || 0;
+        this.overflow = opts.overflow || 'error';
+        if (['error', 'dropNewest', 'dropOldest', 'spill'].indexOf(this.overflow) < 0) {
+            throw new Error("invalid overflow policy " + this.overflow);
+        }
+        this.spillFile = opts.spillFile || path.join(os.tmpdir(), 'qfputs-' + process.pid + '-' + (++spillFileCount) + '.spill');
+        this.overflowCounts = { rejectedBytes: 0, droppedBytes: 0, spilledBytes: 0 };
+        this._spill = null;
+        this._spillPending = 0;
+
+        var retry = opts.retry || {};
+        this.retry = {
+            attempts: retry.attempts || 0,
+            delay: retry.delay || 10,
+            maxDelay: retry.maxDelay || 1000,
+            codes: retry.codes || Fputs.RETRY_CODES,
+        };
+        this._retryCount = 0;
+
+        this._formatRecord = formatters.create(opts.format || 'json', opts.formatOptions);
+        this._prefixLine = opts.prefix ? linePrefix.create(opts.prefix) : null;
+        // the lines are filtered before they are prefixed, the timestamps would make them all differ
+        var self = this;
+        this._lineFilter = opts.filter ? new LineFilter(opts.filter, function(line) { self._putLine(line) }) : null;
+
+        this.framing = opts.framing || null;
+        if (this.framing && framing.FRAMINGS.indexOf(this.framing) < 0) throw new Error("unknown framing " + this.framing);
+        // atomic appends split the writes at newline bytes, which in a frame are just data
+        if (this.framing && writable.lockProvider === 'append') throw new Error("framing needs a lock, not atomic appends");
+
+        this.integrity = opts.integrity || null;
+        if (this.integrity && integrity.MODES.indexOf(this.integrity) < 0) throw new Error("unknown integrity mode " + this.integrity);
+        if (this.integrity && this.framing) throw new Error("cannot use both framing and integrity");
+
+        // strings are passed to the writable as is if it writes them in our encoding, else as bytes
+        this._writesText = this.encoding === (writable.encoding || 'utf8');
+        // lists of Buffers are passed to a writable with writev as is, the chunk checksum needs them concatenated
+        this._writesBuffers = typeof writable.writev === 'function' && this.integrity !== 'chunk';
+
+        // counters kept apart from the lengths, which are reset when all is written
+        this.stats = {
+            bytesAccepted: 0, linesAccepted: 0, bytesWritten: 0, writeCalls: 0, errors: 0,
+            peakBuffered: 0, lastWriteLatencyMs: 0,
+        };
+        this._statsTimer = null;
+        if (opts.onStats) this.setOnStats(opts.onStats, opts.statsInterval);
 
         this._error = null;
         this._onError = null;
+
+        if (opts.flushOnExit) {
+            if (typeof writable.writeSync !== 'function') throw new Error("flushOnExit needs a writable with writeSync");
+            exitFlushList.push(this);
+            installExitHandlers();
+        }
+
+        if (writable._isTee || writable._isWorkerWriter || writable._isFileWriter) {
+            // report the errors of each tee target, of the worker thread or of compressing a rotated file as our own
+            writable.setOnError(function(err) { self.reportError(err) });
+        }
+    }
+
+    var spillFileCount = 0;
+
+    // the Fputs to flush when the process exits, until closed
+    var exitFlushList = [];
+    var exitHandlersInstalled = false;
+
+    // the process-wide handlers that flush the exitFlushList, installed once.
+    // Async i/o is not possible in the exit event, and the signal and exception
+    // handlers exit right after, so those write synchronously.
+    function installExitHandlers( ) {
+        if (exitHandlersInstalled) return;
+        exitHandlersInstalled = true;
+
+        process.on('beforeExit', function() {
+            for (var i = 0; i < exitFlushList.length; i++) {
+                if (exitFlushList[i].getUnwrittenLength() > 0) exitFlushList[i].fflush(function(){});
+            }
+        });
+        process.on('exit', flushAllSync);
+        ['SIGTERM', 'SIGINT'].forEach(function(signal) {
+            process.on(signal, function onSignal() {
+                flushAllSync();
+                // if no one else handles the signal, let it kill the process as it would have
+                if (process.listenerCount(signal) === 1) {
+                    process.removeListener(signal, onSignal);
+                    process.kill(process.pid, signal);
+                }
+            });
+        });
+        if (parseInt(process.versions.node) >= 14) {
+            // the monitor event does not change how uncaught exceptions are handled
+            process.on('uncaughtExceptionMonitor', flushAllSync);
+        }
+        else process.on('uncaughtException', function(err) {
+            flushAllSync();
+            if (process.listenerCount('uncaughtException') === 1) {
+                console.error(err && err.stack || err);
+                process.exit(1);
+            }
+        });
+    }
+
+    function flushAllSync( ) {
+        for (var i = 0; i < exitFlushList.length; i++) {
+            try { exitFlushList[i].fflushSync() }
+            catch (err) { console.error("qfputs: fflushSync: " + err.message) }
+        }
     }
 
+    // write errors that are retried by default, if retries are enabled
+    Fputs.RETRY_CODES = ['EAGAIN', 'EBUSY', 'EINTR', 'ENOSPC', 'EPIPE', 'ECONNRESET', 'ECONNREFUSED', 'ENOTCONN'];
+
     // export FileWriter on the Fputs class
     Fputs.FileWriter = FileWriter;
 
+    // export the network writables
+    Fputs.SocketWriter = SocketWriter;
+    Fputs.DgramWriter = DgramWriter;
+
+    // export the fan-out writable
+    Fputs.Tee = Tee;
+
+    // export the worker thread writable
+    Fputs.WorkerWriter = WorkerWriter;
+
+    // export the putRecord formatters
+    Fputs.formatters = formatters;
+
+    // export the fputs line decorators and filter
+    Fputs.linePrefix = linePrefix;
+    Fputs.LineFilter = LineFilter;
+
+    // export the reader for framed output
+    Fputs.FrameReader = framing.FrameReader;
+
+    // export the checksummed output verify and repair utilities
+    Fputs.integrity = integrity;
+
+    // export the readers for line output
+    Fputs.LineReader = LineReader;
+    Fputs.JournalConsumer = JournalConsumer;
+
+
+    // export the stream adapter, and a factory like fs.createWriteStream
+    Fputs.FputsWriteStream = FputsWriteStream;
+    Fputs.createWriteStream = function createWriteStream( writable, opts ) {
+        return new Fputs(writable, opts).toStream(opts);
+    }
 
     // export renameFile as both a QFputs class method and instance method
     Fputs.renameFile = FileWriter.renameFile;
@@ -79,12 +280,73 @@ module.exports = (function() {
         return this.unwrittenLength - this.writtenLength;
     },
 
+    Fputs.prototype.getOverflowCounts = function getOverflowCounts( ) {
+        return {
+            rejectedBytes: this.overflowCounts.rejectedBytes,
+            droppedBytes: this.overflowCounts.droppedBytes,
+            spilledBytes: this.overflowCounts.spilledBytes,
+        };
+    },
+
+    // return the counters since the Fputs was created.  The lock wait and reopen
+    // counts are those of the writable, if it keeps them (eg FileWriter).
+    Fputs.prototype.getStats = function getStats( ) {
+        var stats = this.stats;
+        var writableStats = typeof this.writable.getStats === 'function' ? this.writable.getStats() : {};
+        return {
+            bytesAccepted: stats.bytesAccepted,
+            linesAccepted: stats.linesAccepted,
+            bytesWritten: stats.bytesWritten,
+            writeCalls: stats.writeCalls,
+            avgChunkSize: stats.writeCalls ? Math.round(stats.bytesWritten / stats.writeCalls) : 0,
+            errors: stats.errors,
+            bufferedBytes: this.unwrittenLength - this.writtenLength,
+            peakBufferedBytes: stats.peakBuffered,
+            lastWriteLatencyMs: stats.lastWriteLatencyMs,
+            lockWaitMs: writableStats.lockWaitMs || 0,
+            reopenCount: writableStats.reopenCount || 0,
+            overflow: this.getOverflowCounts(),
+            suppressed: this.getSuppressedCounts(),
+        };
+    },
+
+    // return the number of fputs lines suppressed by the filter
+    Fputs.prototype.getSuppressedCounts = function getSuppressedCounts( ) {
+        return this._lineFilter ? this._lineFilter.getCounts() : { duplicates: 0, rateLimited: 0 };
+    },
+
+    // call handler with getStats() every intervalMs milliseconds, or stop if no handler
+    Fputs.prototype.setOnStats = function setOnStats( handler, intervalMs ) {
+        if (this._statsTimer) clearInterval(this._statsTimer);
+        this._statsTimer = null;
+        if (!handler) return this;
+        var self = this;
+        this._statsTimer = setInterval(function() { handler(self.getStats()) }, intervalMs || 10000);
+        // the stats timer alone does not keep the process running
+        if (this._statsTimer.unref) this._statsTimer.unref();
+        return this;
+    },
+
     /**
      * Append a newline terminated string to the fifo.
      */
     Fputs.prototype.fputs = function fputs( str ) {
         if (typeof str !== 'string') str = "" + str;
-        this.write((str[str.length - 1] === "\n") ? str : str + "\n");
+        if (str[str.length - 1] !== "\n") str += "\n";
+        if (this._lineFilter) this._lineFilter.push(str);
+        else this._putLine(str);
+    }
+
+    Fputs.prototype._putLine = function _putLine( str ) {
+        this.write(this._prefixLine ? this._prefixLine(str) : str);
+    }
+
+    /**
+     * Append the record object to the fifo, formatted as a line.
+     */
+    Fputs.prototype.putRecord = function putRecord( obj ) {
+        var line = this._formatRecord(obj);
+        return this.write((line[line.length - 1] === "\n") ? line : line + "\n");
     }
 
     /**
@@ -92,57 +354,82 @@ module.exports = (function() {
      */
     Fputs.prototype.write = function write( dataItem, callback ) {
         var type = typeof dataItem;
-        if (type === 'string' || !Buffer.isBuffer(dataItem)) {
-            if (type !== 'string') dataItem = "" + dataItem;
+        if (type !== 'string' && !Buffer.isBuffer(dataItem)) dataItem = "" + dataItem;
+        // framing and checksums are computed on the bytes as written
+        if (typeof dataItem === 'string' && (!this._mergesText || (this.framing || this.integrity) && this.encoding !== 'utf8')) {
+            dataItem = fromBuf(dataItem, this.encoding);
+        }
+        // a framed item is a single Buffer, it is never split across writes
+        if (this.framing) dataItem = framing.frame(this.framing, dataItem);
+        else if (this.integrity === 'line') dataItem = integrity.checksumLines(dataItem);
+
+        // all lengths are in bytes, strings count as their length in our encoding
+        var nbytes = typeof dataItem === 'string' ? Buffer.byteLength(dataItem, this.encoding) : dataItem.length;
+        if (this.maxBuffered && (this._spillPending ||
+            this.unwrittenLength - this.writtenLength + nbytes > this.maxBuffered))
+        {
+            // apply the overflow policy, unless it made room for the data
+            if (this._overflow(dataItem, nbytes, callback)) return false;
+        }
+
+        var chunks = this.datachunks, nchunks = chunks.length;
+        var lastChunk = nchunks ? chunks[nchunks-1] : undefined;
+        if (typeof dataItem === 'string') {
 
             // merge writes into this.writesize sized data chunks
             // it is assumed that all writes end with a newline (not checked)
-            var nchunks = this.datachunks.length;
-            if (nchunks && typeof this.datachunks[nchunks-1] === 'string' && this.datachunks[nchunks-1].length + dataItem.length <= this.writesize) {
+            if (lastChunk && lastChunk.text !== undefined && lastChunk.length + nbytes <= this.writesize) {
                 // the last chunk has space for more
-                this.datachunks[nchunks-1] += dataItem;
+                lastChunk.text += dataItem;
+                lastChunk.length += nbytes;
             }
             else {
                 // else start a new chunk
-                this.datachunks.push(dataItem);
+                chunks.push({ length: nbytes, text: dataItem });
             }
         }
         else {
-            var chunks = this.datachunks, nchunks = chunks.length;
-            var lastChunk = nchunks ? chunks[nchunks-1] : undefined;
-            if (typeof lastChunk === 'string' && lastChunk.length < this.writesize) {
-                if (nchunks >= 2 && typeof chunks[nchunks-2] === 'object' && chunks[nchunks-2].length < this.writesize*2) {
+            if (lastChunk && lastChunk.text !== undefined && lastChunk.length < this.writesize) {
+                var stringBuffer = fromBuf(lastChunk.text, this.encoding);
+                if (nchunks >= 2 && chunks[nchunks-2].chunks && chunks[nchunks-2].length < this.writesize*2) {
                     // if possible, much more efficient to combine buffer-string-buffer into buffer-buffer-buffer
-                    // be sure to adjust the buffered length to keep drain and flush synced up
-                    var chunk = fromBuf(lastChunk);
-                    this.unwrittenLength += chunk.length - lastChunk.length;
-                    chunks[nchunks-2].chunks.push(chunk);
-                    chunks[nchunks-2].chunks.push(dataItem);
-                    chunks[nchunks-2].length += chunk.length + dataItem.length;
+                    chunks[nchunks-2].chunks.push(stringBuffer, dataItem);
+                    chunks[nchunks-2].length += lastChunk.length + nbytes;
                     chunks.pop();
                 }
                 else {
                     // if buffer follows string, combine them and swap the string for a list of buffers
-                    var stringBuffer = fromBuf(lastChunk);
-                    chunks[chunks.length-1] = { length: stringBuffer.length + dataItem.length, chunks: [stringBuffer, dataItem] };
-                    this.unwrittenLength += stringBuffer.length - lastChunk.length;
+                    chunks[nchunks-1] = { length: lastChunk.length + nbytes, chunks: [stringBuffer, dataItem] };
                 }
             }
-            else if (typeof lastChunk === 'object' && lastChunk.length < this.writesize) {
+            else if (lastChunk && lastChunk.chunks && lastChunk.length < this.writesize) {
                 lastChunk.chunks.push(dataItem);
-                lastChunk.length += dataItem.length;
+                lastChunk.length += nbytes;
             }
             else {
-                chunks.push({ length: dataItem.length, chunks: [dataItem] });
+                chunks.push({ length: nbytes, chunks: [dataItem] });
             }
         }
 
+        this._addUnwritten(nbytes);
+        this._countAccepted(dataItem, nbytes);
+
+        if (callback) callback(null, nbytes);
+        return this.unwrittenLength - this.writtenLength <= this.highWaterMark;
+    }
+
+    // count the newly buffered data, and start the sync thread to write it
+    Fputs.prototype._addUnwritten = function _addUnwritten( length ) {
         if (this.writtenLength && this.writtenLength >= this.unwrittenLength) {
             // reset the lengths to avoid numeric overflow
             this.writtenLength = this.unwrittenLength = 0;
             this.resetCount += 1;
+            if (this._waiters.length) this._notifyWaiters();
+        }
+        this.unwrittenLength += length;
+        if (this.unwrittenLength - this.writtenLength > this.stats.peakBuffered) {
+            this.stats.peakBuffered = this.unwrittenLength - this.writtenLength;
         }
-        this.unwrittenLength += dataItem.length;
 
         if (!this._syncing) {
             // if not currently syncing, start the sync thread
@@ -150,9 +437,128 @@ module.exports = (function() {
             setTimeout(function(){ self._sync(); }, 1);
             this._syncing = true;
         }
+    }
 
-        if (callback) callback(null, dataItem.length);
-        return this.unwrittenLength - this.writtenLength <= this.highWaterMark;
+    // count the data and lines accepted for writing.  A frame counts as one line.
+    Fputs.prototype._countAccepted = function _countAccepted( dataItem, nbytes ) {
+        this.stats.bytesAccepted += nbytes;
+        if (this.framing) { this.stats.linesAccepted += 1; return }
+        var newline = typeof dataItem === 'string' ? '\n' : 10;
+        for (var pos = dataItem.indexOf(newline); pos >= 0; pos = dataItem.indexOf(newline, pos + 1)) {
+            this.stats.linesAccepted += 1;
+        }
+    }
+
+    // apply the overflow policy to the data that does not fit into maxBuffered.
+    // Returns true if the data was handled, false if room was made to buffer it.
+    Fputs.prototype._overflow = function _overflow( dataItem, nbytes, callback ) {
+        switch (this.overflow) {
+        case 'dropOldest':
+            // drop whole chunks, the one being written is no longer in datachunks
+            var excess = this.unwrittenLength - this.writtenLength + nbytes - this.maxBuffered;
+            for (var n = 0, freed = 0; n < this.datachunks.length && freed < excess; n++) freed += this.datachunks[n].length;
+            this.overflowCounts.droppedBytes += freed;
+            this._dropChunks(n);
+            return false;
+        case 'dropNewest':
+            this.overflowCounts.droppedBytes += nbytes;
+            if (callback) callback(null, 0);
+            return true;
+        case 'spill':
+            this._spillWrite(dataItem, callback);
+            return true;
+        default:
+            this.overflowCounts.rejectedBytes += nbytes;
+            var err = new Error("Fputs buffer full, " + this.maxBuffered + " maxBuffered");
+            err.code = 'ENOBUFS';
+            if (callback) callback(err);
+            else this.reportError(err);
+            return true;
+        }
+    }
+
+    // discard the oldest n buffered chunks, and stop waiting for them to be written
+    Fputs.prototype._dropChunks = function _dropChunks( n ) {
+        var queued = 0, dropped = 0;
+        for (var i = 0; i < this.datachunks.length; i++) {
+            queued += this.datachunks[i].length;
+            if (i < n) dropped += this.datachunks[i].length;
+        }
+        var queueStart = this.unwrittenLength - this._spillPending - queued;
+        this.datachunks.splice(0, n);
+        this.unwrittenLength -= dropped;
+
+        // the waiters are sorted, shifting their offsets down keeps them sorted
+        for (var i = 0; i < this._waiters.length; i++) {
+            var waiter = this._waiters[i];
+            if (waiter.offset > queueStart + dropped) waiter.offset -= dropped;
+            else if (waiter.offset > queueStart) waiter.offset = queueStart;
+        }
+    }
+
+    // append the data to the spill file, to be written after the data already buffered
+    // The spill file is accessed synchronously, to keep the data in order.
+    Fputs.prototype._spillWrite = function _spillWrite( dataItem, callback ) {
+        var buf = Buffer.isBuffer(dataItem) ? dataItem : fromBuf(dataItem, this.encoding);
+        try {
+            if (!this._spill) this._spill = { fd: fs.openSync(this.spillFile, 'w+'), writeOffset: 0, readOffset: 0 };
+            fs.writeSync(this._spill.fd, buf, 0, buf.length, this._spill.writeOffset);
+        }
+        catch (err) {
+            this.overflowCounts.droppedBytes += buf.length;
+            if (callback) return callback(err);
+            return this.reportError(err);
+        }
+        this._spill.writeOffset += buf.length;
+        this._spillPending += buf.length;
+        this.overflowCounts.spilledBytes += buf.length;
+        this._addUnwritten(buf.length);
+        this._countAccepted(buf, buf.length);
+        if (callback) callback(null, buf.length);
+    }
+
+    // move the next writesize bytes of whole lines from the spill file into datachunks
+    Fputs.prototype._unspill = function _unspill( ) {
+        var spill = this._spill;
+        var nbytes = Math.min(this.writesize, spill.writeOffset - spill.readOffset);
+        var buf = allocBuf(nbytes);
+        try {
+            fs.readSync(spill.fd, buf, 0, nbytes, spill.readOffset);
+            if (spill.readOffset + nbytes < spill.writeOffset) {
+                if (this.framing) buf = this._wholeFrames(buf);
+                else { var eol = buf.lastIndexOf(10); if (eol >= 0) buf = buf.slice(0, eol + 1) }
+            }
+        }
+        catch (err) {
+            this.reportError(err);
+            this.overflowCounts.droppedBytes += this._spillPending;
+            return this._dropSpill();
+        }
+        spill.readOffset += buf.length;
+        this._spillPending -= buf.length;
+        this.datachunks.push({ length: buf.length, chunks: [buf] });
+        if (spill.readOffset >= spill.writeOffset) this._dropSpill();
+    }
+
+    // return just the whole frames read from the spill file, reading more if the first frame is longer
+    Fputs.prototype._wholeFrames = function _wholeFrames( buf ) {
+        var pos = 0, len;
+        while ((len = framing.frameLength(this.framing, buf, pos)) >= 0 && pos + len <= buf.length) pos += len;
+        if (pos > 0 || len < 0) return pos > 0 ? buf.slice(0, pos) : buf;
+        var frame = allocBuf(len);
+        fs.readSync(this._spill.fd, frame, 0, len, this._spill.readOffset);
+        return frame;
+    }
+
+    // discard the spill file and any unwritten data still in it
+    Fputs.prototype._dropSpill = function _dropSpill( ) {
+        this.unwrittenLength -= this._spillPending;
+        this._spillPending = 0;
+        for (var i = 0; i < this._waiters.length; i++) {
+            if (this._waiters[i].offset > this.unwrittenLength) this._waiters[i].offset = this.unwrittenLength;
+        }
+        try { fs.closeSync(this._spill.fd); fs.unlinkSync(this.spillFile) } catch (err) { }
+        this._spill = null;
     }
 
     /**
@@ -160,6 +566,9 @@ module.exports = (function() {
      * Waiting is optional, writes are always buffered.
      */
     Fputs.prototype.drain = function drain( maxUnwritten, callback ) {
+        if (typeof callback !== 'function' && typeof maxUnwritten !== 'function') {
+            return _callAsPromise(this, drain, maxUnwritten === undefined ? [] : [maxUnwritten]);
+        }
         if (this._error) return callback(this.returnError());
 
         if (!callback) {
@@ -173,8 +582,8 @@ module.exports = (function() {
             callback();
         }
         else {
-            var self = this;
-            setTimeout(function(){ self.drain(maxUnwritten, callback); }, 5);
+            // wait for the data buffered so far to shrink to maxUnwritten
+            this._addWaiter(this.unwrittenLength - maxUnwritten, callback);
         }
     }
 
@@ -182,52 +591,186 @@ module.exports = (function() {
      * Wait until all the data that has been written so far has been sent.
      */
     Fputs.prototype.fflush = function fflush( callback ) {
+        if (typeof callback !== 'function') return _callAsPromise(this, fflush, []);
         if (this._error) return callback(this.returnError());
-        var expectedWrittenLength = this.unwrittenLength;
-        var self = this;
-        var resetCount = this.resetCount;
 
-        (function waitloop() {
-            if (self.writtenLength >= expectedWrittenLength || self.resetCount != resetCount) {
-                callback(self.returnError());
+        if (this.writable.durability === 'onFlush' && typeof this.writable.fsync === 'function') {
+            // the writable wants fflush to mean "on stable storage"
+            var self = this, userCallback = callback;
+            callback = function(err) {
+                self.writable.fsync(function(err2) {
+                    if (err2) self.reportError(err2);
+                    userCallback(err || self.returnError());
+                });
+            }
+        }
+        else if (this.writable._isTee || this.writable._isWorkerWriter) {
+            // an isolating tee and the worker ring buffer also buffer, wait for them to write
+            var self = this, userCallback = callback;
+            callback = function(err) {
+                self.writable.fflush(function(err2) {
+                    userCallback(err || err2 || self.returnError());
+                });
             }
-            else setTimeout(waitloop, 1);
-        })();
+        }
+
+        if (this.writtenLength >= this.unwrittenLength) callback(this.returnError());
+        else this._addWaiter(this.unwrittenLength, callback);
+    }
+
+    /**
+     * Synchronously write all buffered data through the writable's writeSync, eg FileWriter.
+     * A write already in progress is not waited for, and may finish after the
+     * data written here.  Throws the first write error.
+     */
+    Fputs.prototype.fflushSync = function fflushSync( ) {
+        if (this._lineFilter) this._lineFilter.flush();
+        if (typeof this.writable.writeSync !== 'function') {
+            if (!this.datachunks.length && !this._spill) return;
+            throw new Error("writable does not support writeSync");
+        }
+        var firstError = null;
+        // the writes already handed to the writable go first
+        if (typeof this.writable.fflushSync === 'function') {
+            try { this.writable.fflushSync() } catch (err) { firstError = err }
+        }
+        while (this._spill) this._unspill();
+        while (this.datachunks.length > 0) {
+            var chunk = this.datachunks.shift();
+            var data = this._chunkData(chunk, false);
+            this.stats.writeCalls += 1;
+            try {
+                this.writable.writeSync(this.integrity === 'chunk' ? integrity.checksumChunk(data) : data);
+                this.stats.bytesWritten += chunk.length;
+            }
+            catch (err) {
+                this.stats.errors += 1;
+                firstError = firstError || err;
+            }
+            this.writtenLength += chunk.length;
+        }
+        if (this._waiters.length) this._notifyWaiters();
+        if (firstError) throw firstError;
     }
 
     /**
      * discard any unwritten data and wait for any write in progress to finish
      */
     Fputs.prototype.abort = function abort( callback ) {
+        if (typeof callback !== 'function') return _callAsPromise(this, abort, []);
+
+        // the discarded data will never be written, stop waiting for it
+        if (this._spill) this._dropSpill();
+        this._dropChunks(this.datachunks.length);
+
+        if (!this._syncing) {
+            this._notifyWaiters();
+            return callback(this.returnError());
+        }
+        this._addWaiter(this.unwrittenLength, callback);
+    }
+
+    /**
+     * Wait for all buffered data to be written, then close the file or socket if writing to one of the included writables.
+     */
+    Fputs.prototype.close = function close( callback ) {
+        if (typeof callback !== 'function') return _callAsPromise(this, close, []);
         var self = this;
-        this.datachunks = [];
-        if (!this._syncing) return callback(self.returnError());
+        this.setOnStats(null);
+        if (this._lineFilter) this._lineFilter.close();
+        var ix = exitFlushList.indexOf(this);
+        if (ix >= 0) exitFlushList.splice(ix, 1);
+        this.fflush(function(err) {
+            var writable = self.writable;
+            if (writable._isTee || writable._isWorkerWriter || writable._isSocketWriter || writable._isDgramWriter) {
+                return writable.close(function(err2) { callback(err || err2) });
+            }
+            if (writable._isFileWriter) writable.close();
+            callback(err);
+        });
+    }
 
-        // TODO: this._fflushCallbacks.push({n: this.unwrittenLength, f: callback})
-        (function waitloop() {
-            if (self._syncing) setTimeout(waitloop, 2);
-            else return callback(self.returnError());
-        })();
+    /**
+     * Return a stream.Writable that writes into this Fputs.
+     * Write errors are reported as stream errors, and end() flushes and closes.
+     */
+    Fputs.prototype.toStream = function toStream( opts ) {
+        return new FputsWriteStream(this, opts);
+    }
+
+    // `await using fp = new Fputs(...)` flushes and closes on scope exit
+    if (typeof Symbol === 'function' && Symbol.asyncDispose) {
+        Fputs.prototype[Symbol.asyncDispose] = function( ) {
+            return this.close();
+        }
+    }
+
+    // queue the callback to run once writtenLength reaches offset
+    // The waiters are kept sorted by offset, usually appended to the end.
+    Fputs.prototype._addWaiter = function _addWaiter( offset, callback ) {
+        var waiters = this._waiters;
+        var ix = waiters.length;
+        while (ix > 0 && waiters[ix-1].offset > offset) ix--;
+        waiters.splice(ix, 0, { offset: offset, resetCount: this.resetCount, cb: callback });
+    }
+
+    // run the callbacks of the waiters whose data has all been written
+    // Waiters from before a length reset have had all their data written.
+    Fputs.prototype._notifyWaiters = function _notifyWaiters( ) {
+        var waiters = this._waiters;
+        while (waiters.length && (waiters[0].offset <= this.writtenLength || waiters[0].resetCount !== this.resetCount)) {
+            waiters.shift().cb(this.returnError());
+        }
+    }
+
+    // the data of the buffered chunk to write, the string, the Buffer or the list of Buffers.
+    // The Buffers are written as is, without a copy, unless the writable needs them concatenated
+    Fputs.prototype._chunkData = function _chunkData( chunk, asList ) {
+        if (chunk.chunks) {
+            if (chunk.chunks.length === 1) return chunk.chunks[0];
+            return asList ? chunk.chunks : Buffer.concat(chunk.chunks, chunk.length);
+        }
+        return this._writesText ? chunk.text : fromBuf(chunk.text, this.encoding);
     }
 
     // the sync thread runs whenever there is data waiting,
     // and tries to write chunks ending on line boundaries
     Fputs.prototype._sync = function _sync( ) {
+        // replay spilled data once the buffered data has been written
+        if (this._spill && this.datachunks.length < 2) this._unspill();
+
         if (this.datachunks.length <= 0) {
             this._syncing = false;
+            if (this._waiters.length) this._notifyWaiters();
             return;
         }
 
         var chunk = this.datachunks.shift();
-        if (typeof chunk !== 'string') chunk = Buffer.concat(chunk.chunks);
-        var self = this;
-        this.writable.write(chunk, function(err, ret) {
+        // the chunk checksum is not counted in the written length
+        var data = this._chunkData(chunk, this._writesBuffers);
+        if (this.integrity === 'chunk') data = integrity.checksumChunk(data);
+        var self = this, startTime = Date.now();
+        this.stats.writeCalls += 1;
+        var writeMethod = Array.isArray(data) ? 'writev' : 'write';
+        this.writable[writeMethod](data, function(err, ret) {
+            self.stats.lastWriteLatencyMs = Date.now() - startTime;
+            if (err) self.stats.errors += 1;
+            else self.stats.bytesWritten += chunk.length;
+            // a failed sync is not retried, the data was written already
+            if (err && self._retryCount < self.retry.attempts && self.retry.codes.indexOf(err.code) >= 0 && err.syscall !== 'fdatasync') {
+                // put the chunk back at the head of the queue, and try again after a backoff
+                self.datachunks.unshift(chunk);
+                var delay = Math.min(self.retry.maxDelay, self.retry.delay * Math.pow(2, self._retryCount));
+                self._retryCount += 1;
+                return setTimeout(function(){ self._sync(); }, delay);
+            }
+            self._retryCount = 0;
             self.writtenLength += chunk.length;
             if (err) self.reportError(err);
             if (self.datachunks.length > 1) setImmediate(function(){ self._sync(); });
-            else if (self.datachunks.length > 0) setTimeout(function(){ self._sync(); }, 1);
+            else if (self.datachunks.length > 0 || self._spill) setTimeout(function(){ self._sync(); }, 1);
             else self._syncing = false;
-            // TODO: invoke fflush callbacks from here, to not have to poll
+            if (self._waiters.length) self._notifyWaiters();
         });
 
         // This function is not reentrant, only one writer thread must run.
@@ -0,0 +1,164 @@
+/**
+ * framing -- length-prefixed binary record frames, and the FrameReader to parse them
+ *
+ * Framings:
+ *     varint:      unsigned LEB128 varint length, then the data (protobuf delimited)
+ *     uint32:      32-bit big-endian length, then the data
+ *     netstring:   decimal length, ':', the data, ','
+ *     recordio:    32-bit big-endian length, 32-bit big-endian crc32 of the data, then the data
+ *
+ * Copyright (C) 2026 Andras Radics
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+var fs = require('fs');
+var crc32 = require('./crc32');
+var _callAsPromise = require('./filewriter')._callAsPromise;
+
+var allocBuf = eval('parseInt(process.versions.node) >= 7 ? Buffer.allocUnsafe : Buffer');
+var fromBuf = eval('parseInt(process.versions.node) >= 7 ? Buffer.from : Buffer');
+
+var FRAMINGS = ['varint', 'uint32', 'netstring', 'recordio'];
+
+module.exports = {
+    FRAMINGS: FRAMINGS,
+    frame: frame,
+    frameLength: frameLength,
+    FrameReader: FrameReader,
+};
+
+// return the data wrapped in a frame, as a single Buffer
+function frame( framing, data ) {
+    var buf = Buffer.isBuffer(data) ? data : fromBuf(String(data));
+    var header;
+    switch (framing) {
+    case 'varint':
+        var bytes = [];
+        for (var n = buf.length; n >= 0x80; n = Math.floor(n / 128)) bytes.push((n & 0x7f) | 0x80);
+        bytes.push(n);
+        header = fromBuf(bytes);
+        return Buffer.concat([header, buf], header.length + buf.length);
+    case 'uint32':
+        header = allocBuf(4);
+        header.writeUInt32BE(buf.length, 0);
+        return Buffer.concat([header, buf], 4 + buf.length);
+    case 'netstring':
+        header = fromBuf(buf.length + ':');
+        return Buffer.concat([header, buf, fromBuf(',')], header.length + buf.length + 1);
+    case 'recordio':
+        header = allocBuf(8);
+        header.writeUInt32BE(buf.length, 0);
+        header.writeUInt32BE(crc32(buf), 4);
+        return Buffer.concat([header, buf], 8 + buf.length);
+    default:
+        throw new Error("unknown framing " + framing);
+    }
+}
+
+// return the total length of the frame starting at pos, or -1 if the header is not all there yet.
+// Throws on an invalid frame header.
+function frameLength( framing, buf, pos ) {
+    return parseHeader(framing, buf, pos, true);
+}
+
+// parse the frame header at pos, return the length of the header + data + trailer
+function parseHeader( framing, buf, pos, total ) {
+    var avail = buf.length - pos;
+    switch (framing) {
+    case 'varint':
+        var n = 0, scale = 1;
+        for (var i = 0; i < avail && i < 8; i++) {
+            var byte = buf[pos + i];
+            n += (byte & 0x7f) * scale;
+            scale *= 128;
+            if (!(byte & 0x80)) return total ? i + 1 + n : i + 1;
+        }
+        if (i >= 8) throw makeError("invalid varint frame length", pos);
+        return -1;
+    case 'uint32':
+        if (avail < 4) return -1;
+        return total ? 4 + buf.readUInt32BE(pos) : 4;
+    case 'netstring':
+        for (var i = 0; i < avail && i < 16; i++) {
+            var ch = buf[pos + i];
+            if (ch === 0x3a && i > 0) return total ? i + 1 + parseInt(buf.toString('latin1', pos, pos + i)) + 1 : i + 1;
+            if (ch < 0x30 || ch > 0x39) break;
+        }
+        if (i < avail) throw makeError("invalid netstring frame length", pos);
+        return -1;
+    case 'recordio':
+        if (avail < 8) return -1;
+        return total ? 8 + buf.readUInt32BE(pos) : 8;
+    default:
+        throw new Error("unknown framing " + framing);
+    }
+}
+
+function makeError( message, offset ) {
+    var err = new Error(message + " at offset " + offset);
+    err.offset = offset;
+    return err;
+}
+
+/*
+ * FrameReader parses the framed records out of the data passed to push().
+ */
+function FrameReader( framing ) {
+    if (!(this instanceof FrameReader)) return new FrameReader(framing);
+    if (FRAMINGS.indexOf(framing) < 0) throw new Error("unknown framing " + framing);
+
+    this.framing = framing;
+    this.offset = 0;            // stream offset of the start of this.buf
+    this.buf = allocBuf(0);
+}
+
+FrameReader.prototype = {
+
+    // return the data of the complete frames received so far.
+    // Throws on a corrupt frame, with the stream offset of the frame in err.offset
+    push: function push( chunk ) {
+        var buf = this.buf.length ? Buffer.concat([this.buf, chunk]) : chunk;
+        var records = [], pos = 0, len;
+        while ((len = frameLength(this.framing, buf, pos)) >= 0 && pos + len <= buf.length) {
+            records.push(this._checkFrame(buf, pos, len));
+            pos += len;
+        }
+        this.offset += pos;
+        this.buf = buf.slice(pos);
+        return records;
+    },
+
+    // check the end of input.  Returns an error if there is a partial frame left over
+    end: function end( ) {
+        return this.buf.length ? makeError("truncated frame", this.offset) : null;
+    },
+
+    // return the data of the complete frame at pos
+    _checkFrame: function _checkFrame( buf, pos, len ) {
+        var hlen = parseHeader(this.framing, buf, pos, false);
+        switch (this.framing) {
+        case 'netstring':
+            if (buf[pos + len - 1] !== 0x2c) throw makeError("missing netstring trailer", this.offset + pos);
+            return buf.slice(pos + hlen, pos + len - 1);
+        case 'recordio':
+            var data = buf.slice(pos + hlen, pos + len);
+            if (crc32(data) !== buf.readUInt32BE(pos + 4)) throw makeError("recordio crc mismatch", this.offset + pos);
+            return data;
+        default:
+            return buf.slice(pos + hlen, pos + len);
+        }
+    },
+}
+
+// read the file and return the data of all the frames in it
+FrameReader.readFile = function readFile( filename, framing, callback ) {
+    if (typeof callback !== 'function') return _callAsPromise(this, readFile, [filename, framing]);
+    fs.readFile(filename, function(err, buf) {
+        if (err) return callback(err);
+        var reader = new FrameReader(framing), records;
+        try { records = reader.push(buf) } catch (err) { return callback(err) }
+        callback(reader.end(), records);
+    });
+}
@@ -0,0 +1,267 @@
+/**
+ * integrity -- crc32 checksummed lines and chunks, and the checker to verify and repair them
+ *
+ * Modes:
+ *     line:    each line ends in ' #' and the 8 hex digit crc32 of the line before it
+ *     chunk:   each write is preceded by a '#crc32 <nbytes> <8 hex digit crc32>' header line
+ *
+ * Lines appended by several processes without a lock can interleave mid-line;
+ * the checksums detect the torn records, and repairFile copies just the intact ones.
+ *
+ * Copyright (C) 2026 Andras Radics
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+var fs = require('fs');
+var crc32 = require('./crc32');
+var _callAsPromise = require('./filewriter')._callAsPromise;
+
+var allocBuf = eval('parseInt(process.versions.node) >= 7 ? Buffer.allocUnsafe : Buffer');
+var fromBuf = eval('parseInt(process.versions.node) >= 7 ? Buffer.from : Buffer');
+
+var MODES = ['line', 'chunk'];
+var SUFFIX_LENGTH = 10;             // ' #' and 8 hex digits
+var CHUNK_TAG = '#crc32 ';
+var NEWLINE = fromBuf('\n');
+
+module.exports = {
+    MODES: MODES,
+    checksumLines: checksumLines,
+    checksumChunk: checksumChunk,
+    IntegrityChecker: IntegrityChecker,
+    verifyFile: verifyFile,
+    repairFile: repairFile,
+};
+
+function hex8( n ) {
+    return ('0000000' + n.toString(16)).slice(-8);
+}
+
+// append the checksum to each line of the string or Buffer.  The last line is newline terminated too.
+function checksumLines( data ) {
+    var pos = 0, eol;
+    if (typeof data === 'string') {
+        var str = "";
+        while (pos < data.length) {
+            if ((eol = data.indexOf('\n', pos)) < 0) eol = data.length;
+            var line = data.slice(pos, eol);
+            str += line + ' #' + hex8(crc32(fromBuf(line))) + '\n';
+            pos = eol + 1;
+        }
+        return str;
+    }
+    var parts = [];
+    while (pos < data.length) {
+        if ((eol = data.indexOf(10, pos)) < 0) eol = data.length;
+        var line = data.slice(pos, eol);
+        parts.push(line, fromBuf(' #' + hex8(crc32(line)) + '\n'));
+        pos = eol + 1;
+    }
+    return Buffer.concat(parts);
+}
+
+// prepend the checksum header line to the string or Buffer
+function checksumChunk( data ) {
+    var buf = typeof data === 'string' ? fromBuf(data) : data;
+    var header = CHUNK_TAG + buf.length + ' ' + hex8(crc32(buf)) + '\n';
+    return typeof data === 'string' ? header + data : Buffer.concat([fromBuf(header), buf]);
+}
+
+// parse the chunk header line, return the {length, crc} it declares or null if not a header
+function parseChunkHeader( buf, pos, eol ) {
+    var match = /^#crc32 (\d{1,15}) ([0-9a-f]{8})$/.exec(buf.toString('latin1', pos, eol));
+    return match ? { length: parseInt(match[1]), crc: parseInt(match[2], 16) } : null;
+}
+
+// return the offset of the next line starting with the chunk tag, or -1 if none
+function findChunkHeader( buf, pos ) {
+    while ((pos = buf.indexOf(CHUNK_TAG, pos)) >= 0) {
+        if (pos === 0 || buf[pos - 1] === 10) return pos;
+        pos += 1;
+    }
+    return -1;
+}
+
+/*
+ * IntegrityChecker verifies the checksummed records in the data passed to push().
+ * The intact records are returned, the offsets of the corrupt ones are collected
+ * in this.corrupt as {offset, length, reason}.  Adjacent corrupt spans are merged.
+ */
+function IntegrityChecker( mode ) {
+    if (!(this instanceof IntegrityChecker)) return new IntegrityChecker(mode);
+    if (MODES.indexOf(mode) < 0) throw new Error("unknown integrity mode " + mode);
+
+    this.mode = mode;
+    this.offset = 0;            // file offset of the start of this.buf
+    this.buf = allocBuf(0);
+    this.records = 0;
+    this.corrupt = [];
+}
+
+IntegrityChecker.prototype = {
+
+    // return the intact records received so far, as {offset, raw, data} with the
+    // data without its checksum
+    push: function push( chunk ) {
+        var buf = this.buf.length ? Buffer.concat([this.buf, chunk]) : chunk;
+        var records = [];
+        var pos = this.mode === 'line' ? this._scanLines(buf, records, false) : this._scanChunks(buf, records, false);
+        this.offset += pos;
+        this.buf = buf.slice(pos);
+        return records;
+    },
+
+    // check the end of input.  Returns the intact records left, and any leftover partial record is corrupt
+    end: function end( ) {
+        var buf = this.buf, records = [];
+        var pos = this.mode === 'line' ? this._scanLines(buf, records, true) : this._scanChunks(buf, records, true);
+        this.offset += pos;
+        this.buf = buf.slice(pos);
+        return records;
+    },
+
+    // return a summary of the records checked so far
+    getReport: function getReport( ) {
+        return { records: this.records, bytes: this.offset, corrupt: this.corrupt.slice() };
+    },
+
+    _addRecord: function _addRecord( records, buf, pos, dataStart, dataEnd, end ) {
+        this.records += 1;
+        records.push({ offset: this.offset + pos, raw: buf.slice(pos, end), data: buf.slice(dataStart, dataEnd) });
+    },
+
+    _addCorrupt: function _addCorrupt( pos, length, reason ) {
+        var offset = this.offset + pos;
+        var last = this.corrupt[this.corrupt.length - 1];
+        if (last && last.offset + last.length === offset) last.length += length;
+        else this.corrupt.push({ offset: offset, length: length, reason: reason });
+    },
+
+    _scanLines: function _scanLines( buf, records, final ) {
+        var pos = 0, eol;
+        while ((eol = buf.indexOf(10, pos)) >= 0) {
+            var dataEnd = eol - SUFFIX_LENGTH;
+            var suffix = dataEnd >= pos ? buf.toString('latin1', dataEnd, eol) : '';
+            if (!/^ #[0-9a-f]{8}$/.test(suffix)) this._addCorrupt(pos, eol + 1 - pos, 'missing checksum');
+            else if (crc32(buf.slice(pos, dataEnd)) !== parseInt(suffix.slice(2), 16)) this._addCorrupt(pos, eol + 1 - pos, 'checksum mismatch');
+            else this._addRecord(records, buf, pos, pos, dataEnd, eol + 1);
+            pos = eol + 1;
+        }
+        if (final && pos < buf.length) {
+            this._addCorrupt(pos, buf.length - pos, 'truncated');
+            pos = buf.length;
+        }
+        return pos;
+    },
+
+    _scanChunks: function _scanChunks( buf, records, final ) {
+        var pos = 0, eol;
+        while (pos < buf.length) {
+            if ((eol = buf.indexOf(10, pos)) < 0) break;
+            var header = parseChunkHeader(buf, pos, eol);
+            var reason = 'missing chunk header';
+            if (header) {
+                var end = eol + 1 + header.length;
+                if (end > buf.length && !final) break;
+                if (end <= buf.length && crc32(buf.slice(eol + 1, end)) === header.crc) {
+                    this._addRecord(records, buf, pos, eol + 1, end, end);
+                    pos = end;
+                    continue;
+                }
+                // a torn header can claim more data than there is
+                reason = end > buf.length ? 'truncated' : 'checksum mismatch';
+            }
+            // resync at the next header line.  If not seen yet, the lines so far are corrupt
+            var next = findChunkHeader(buf, eol + 1);
+            if (next < 0 && !final) next = buf.lastIndexOf(10) + 1;
+            if (next < 0) next = buf.length;
+            this._addCorrupt(pos, next - pos, reason);
+            pos = next;
+        }
+        if (final && pos < buf.length) {
+            this._addCorrupt(pos, buf.length - pos, 'truncated');
+            pos = buf.length;
+        }
+        return pos;
+    },
+}
+
+/*
+ * check the records of the file.  Returns a report {records, bytes, corrupt}
+ * with the count of intact records and the corrupt byte ranges.
+ *
+ * options:
+ *     mode:        integrity mode the file was written with, default 'line'
+ *     readSize:    bytes to read at a time, default 64k
+ */
+function verifyFile( filename, opts, callback ) {
+    if (typeof callback !== 'function' && typeof opts !== 'function') {
+        return _callAsPromise(null, verifyFile, opts === undefined ? [filename] : [filename, opts]);
+    }
+    if (!callback) { callback = opts; opts = {} }
+    scanFile(filename, null, opts || {}, callback);
+}
+
+/*
+ * check the records of the file, and copy the intact ones to outputFile.
+ * Returns the same report as verifyFile.
+ *
+ * options: as for verifyFile, and
+ *     strip:       write the records without their checksums, default false
+ */
+function repairFile( filename, outputFile, opts, callback ) {
+    if (typeof callback !== 'function' && typeof opts !== 'function') {
+        return _callAsPromise(null, repairFile, opts === undefined ? [filename, outputFile] : [filename, outputFile, opts]);
+    }
+    if (!callback) { callback = opts; opts = {} }
+    scanFile(filename, outputFile, opts || {}, callback);
+}
+
+function scanFile( filename, outputFile, opts, callback ) {
+    var checker, readSize = opts.readSize || 65536;
+    try { checker = new IntegrityChecker(opts.mode || 'line') } catch (err) { return callback(err) }
+
+    fs.open(filename, 'r', function(err, fd) {
+        if (err) return callback(err);
+        var outFd;
+        try { if (outputFile) outFd = fs.openSync(outputFile, 'w') }
+        catch (err) { fs.close(fd, function(){}); return callback(err) }
+
+        (function readLoop() {
+            var buf = allocBuf(readSize);
+            fs.read(fd, buf, 0, readSize, null, function(err, nread) {
+                var records;
+                try {
+                    if (err) throw err;
+                    records = nread > 0 ? checker.push(buf.slice(0, nread)) : checker.end();
+                    if (outFd !== undefined) writeRecords(outFd, records, checker.mode, opts.strip);
+                }
+                catch (e) { return finish(e) }
+                if (nread > 0) readLoop();
+                else finish(null);
+            });
+        })();
+
+        function finish(err) {
+            fs.close(fd, function(){});
+            if (outFd !== undefined) try { fs.closeSync(outFd) } catch (e) { err = err || e }
+            callback(err, err ? undefined : checker.getReport());
+        }
+    });
+}
+
+// The repaired copy is written synchronously, to keep the records in order.
+function writeRecords( fd, records, mode, strip ) {
+    if (!records.length) return;
+    var bufs = [];
+    for (var i = 0; i < records.length; i++) {
+        if (!strip) bufs.push(records[i].raw);
+        // stripped lines are still newline terminated
+        else if (mode === 'line') bufs.push(records[i].data, NEWLINE);
+        else bufs.push(records[i].data);
+    }
+    var buf = Buffer.concat(bufs);
+    fs.writeSync(fd, buf, 0, buf.length, null);
+}
@@ -0,0 +1,217 @@
+/**
+ * JournalConsumer -- grab-and-process consumer of a journal file written by FileWriter
+ *
+ * Renames the journal to the grab file with renameFile, which waits for the
+ * writers to finish, then passes the lines of the grab file to the processing
+ * function in batches.  Once all batches are acked the grab file is removed or
+ * archived.  The offset of the acked batches is checkpointed, so a grab file
+ * left behind by a crash is resumed from the first unacked batch.
+ *
+ * Copyright (C) 2026 Andras Radics
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var FileWriter = require('./filewriter');
+var _callAsPromise = FileWriter._callAsPromise;
+
+module.exports = JournalConsumer;
+
+var allocBuf = eval('parseInt(process.versions.node) >= 7 ? Buffer.allocUnsafe : Buffer');
+
+/*
+ * options:
+ *     processBatch:    function(lines, ack(err)) to process a batch of lines, required
+ *     batchSize:       max lines per batch, default 100
+ *     grabFile:        name to rename the journal to, default journalFile + '.grab'
+ *     archiveDir:      move the processed grab files here instead of removing them, default none
+ *     pollInterval:    milliseconds to wait before checking an empty journal again, default 1000
+ *     waitMs:          renameFile settle time, default per the reopen policy
+ *     reopen:          reopen policy of the journal writers, default interval
+ *     mutexTimeout:    renameFile timeout for the last write to finish, default 5000
+ *     lock:            lock provider of the journal writers, default auto
+ *     readSize:        bytes to read at a time, default 64k
+ */
+function JournalConsumer( journalFile, opts ) {
+    if (!(this instanceof JournalConsumer)) return new JournalConsumer(journalFile, opts);
+    if (!journalFile) throw new Error("missing journal filename");
+    opts = opts || {};
+    if (typeof opts.processBatch !== 'function') throw new Error("missing processBatch function");
+
+    this.journalFile = journalFile;
+    this.grabFile = opts.grabFile || journalFile + '.grab';
+    this.offsetFile = this.grabFile + '.offset';
+    this.processBatch = opts.processBatch;
+    this.batchSize = opts.batchSize || 100;
+    this.archiveDir = opts.archiveDir || null;
+    this.pollInterval = opts.pollInterval || 1000;
+    this.renameOptions = { waitMs: opts.waitMs, reopen: opts.reopen, mutexTimeout: opts.mutexTimeout || FileWriter.mutexTimeout, lock: opts.lock };
+    this.readSize = opts.readSize || 65536;
+
+    this.running = false;
+    this._pollTimer = null;
+    this._stopCallback = null;
+}
+
+JournalConsumer.prototype = {
+
+    // process the leftover grab file, else grab and process the journal.
+    // Returns the number of lines processed, 0 if the journal did not exist.
+    processOnce: function processOnce( callback ) {
+        if (typeof callback !== 'function') return _callAsPromise(this, processOnce, []);
+        var self = this;
+        fs.stat(this.grabFile, function(err) {
+            if (!err) return self._processGrabFile(callback);
+
+            FileWriter.renameFile(self.journalFile, self.grabFile, self.renameOptions, function(err) {
+                if (err && err.code === 'ENOENT') return fs.stat(self.journalFile, function(err2) { callback(err2 ? null : err, 0) });
+                if (err) return callback(err);
+                self._processGrabFile(callback);
+            });
+        });
+    },
+
+    // process the journal until stopped, waiting pollInterval when it is empty
+    start: function start( onError ) {
+        var self = this;
+        if (this.running) return this;
+        this.running = true;
+        (function loop() {
+            if (!self.running) return self._stopped();
+            self.processOnce(function(err, nlines) {
+                if (err && onError) onError(err);
+                if (!self.running) return self._stopped();
+                if (!err && nlines > 0) return setImmediate(loop);
+                self._pollTimer = setTimeout(function() { self._pollTimer = null; loop() }, self.pollInterval);
+            });
+        })();
+        return this;
+    },
+
+    // stop processing, and call callback once the batch in progress is done
+    stop: function stop( callback ) {
+        if (typeof callback !== 'function') return _callAsPromise(this, stop, []);
+        if (!this.running) return callback();
+        this.running = false;
+        this._stopCallback = callback;
+        if (this._pollTimer) {
+            clearTimeout(this._pollTimer);
+            this._pollTimer = null;
+            this._stopped();
+        }
+    },
+
+    _stopped: function _stopped( ) {
+        var callback = this._stopCallback;
+        this._stopCallback = null;
+        if (callback) callback();
+    },
+
+    _processGrabFile: function _processGrabFile( callback ) {
+        var self = this;
+        var fd, offset, nlines = 0;
+        readOffset(this.offsetFile, function(checkpointed) {
+            offset = checkpointed;
+            fs.open(self.grabFile, 'r', function(err, grabFd) {
+                if (err) return callback(err);
+                fd = grabFd;
+                batchLoop();
+            });
+        });
+
+        function batchLoop() {
+            self._readBatch(fd, offset, function(err, batch) {
+                if (err) return finish(err);
+                if (!batch.lines.length) return finish();
+
+                self.processBatch(batch.lines, function ack(err) {
+                    if (err) return finish(err);
+                    offset = batch.offset;
+                    nlines += batch.lines.length;
+                    writeOffset(self.offsetFile, offset, function(err) {
+                        if (err) return finish(err);
+                        // stop between batches if asked to, the grab file is resumed on the next start
+                        if (!self.running && self._stopCallback) return finish();
+                        batchLoop();
+                    });
+                });
+            });
+        }
+
+        function finish(err) {
+            var done = !err && !(self._stopCallback && !self.running);
+            fs.close(fd, function() {
+                if (!done) return callback(err, nlines);
+                self._removeGrabFile(function(err) { callback(err, nlines) });
+            });
+        }
+    },
+
+    // read the next batchSize lines starting at offset.  The file is complete, so
+    // an unterminated last line is also returned
+    _readBatch: function _readBatch( fd, offset, callback ) {
+        var self = this, lines = [], pending = null, readOffset = offset;
+        (function readLoop() {
+            if (lines.length >= self.batchSize) return callback(null, { lines: lines, offset: offset });
+            var buf = allocBuf(self.readSize);
+            fs.read(fd, buf, 0, buf.length, readOffset, function(err, nread) {
+                if (err) return callback(err);
+                if (nread <= 0) {
+                    if (pending && pending.length) { lines.push(pending.toString()); offset += pending.length }
+                    return callback(null, { lines: lines, offset: offset });
+                }
+                readOffset += nread;
+                buf = pending ? Buffer.concat([pending, buf.slice(0, nread)]) : buf.slice(0, nread);
+                // the buf starts at offset, the bytes of the lines consumed so far
+                var pos = 0, eol;
+                while (lines.length < self.batchSize && (eol = buf.indexOf(10, pos)) >= 0) {
+                    lines.push(buf.toString('utf8', pos, eol));
+                    pos = eol + 1;
+                }
+                offset += pos;
+                pending = buf.slice(pos);
+                readLoop();
+            });
+        })();
+    },
+
+    // the offset goes first: a stale offset would skip the start of the next grab file,
+    // a missing one only processes the lines of this grab file again
+    _removeGrabFile: function _removeGrabFile( callback ) {
+        var self = this;
+        fs.unlink(this.offsetFile, function(err) {
+            if (err && err.code !== 'ENOENT') return callback(err);
+            if (!self.archiveDir) return fs.unlink(self.grabFile, callback);
+
+            var archiveName = path.join(self.archiveDir, path.basename(self.journalFile) + '.' + timestamp(new Date()));
+            (function archive(seq) {
+                var name = seq ? archiveName + '.' + seq : archiveName;
+                fs.stat(name, function(err) {
+                    if (!err) return archive(seq + 1);
+                    fs.rename(self.grabFile, name, callback);
+                });
+            })(0);
+        });
+    },
+}
+
+function readOffset( offsetFile, callback ) {
+    fs.readFile(offsetFile, function(err, data) { callback(err ? 0 : parseInt(data) || 0) });
+}
+
+// write then rename, to not leave a partial offset file
+function writeOffset( offsetFile, offset, callback ) {
+    fs.writeFile(offsetFile + '.tmp', String(offset), function(err) {
+        if (err) return callback(err);
+        fs.rename(offsetFile + '.tmp', offsetFile, callback);
+    });
+}
+
+function timestamp( date ) {
+    function pad(n, w) { n = '' + n; while (n.length < (w || 2)) n = '0' + n; return n }
+    return date.getFullYear() + pad(date.getMonth() + 1) + pad(date.getDate()) + '-' +
+        pad(date.getHours()) + pad(date.getMinutes()) + pad(date.getSeconds()) + '.' + pad(date.getMilliseconds(), 3);
+}
@@ -0,0 +1,123 @@
+/**
+ * LineFilter -- duplicate suppression and per-key rate limiting of fputs lines
+ *
+ * Identical consecutive lines are collapsed into a syslog-style
+ * "last message repeated N times" line, and each key gets a token bucket
+ * of `burst` lines refilled at `rate` lines per second.  The lines that
+ * pass are handed to the emit function.
+ *
+ * Copyright (C) 2026 Andras Radics
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+module.exports = LineFilter;
+
+/*
+ * options:
+ *     dedup:           collapse identical consecutive lines, default false
+ *     repeatInterval:  milliseconds after which a still repeating line is reported, default 30000
+ *     rate:            lines per second allowed per key, default unlimited
+ *     burst:           lines allowed at once per key, default rate
+ *     key:             function(line) returning the rate limit key of the line, default all lines share one key
+ *     maxKeys:         number of keys to track before the idle ones are forgotten, default 10000
+ */
+function LineFilter( opts, emit ) {
+    if (!(this instanceof LineFilter)) return new LineFilter(opts, emit);
+    opts = opts || {};
+    if (typeof emit !== 'function') throw new Error("missing emit function");
+    if (opts.rate !== undefined && !(opts.rate > 0)) throw new Error("invalid filter rate " + opts.rate);
+    if (opts.key !== undefined && typeof opts.key !== 'function') throw new Error("filter key must be a function");
+
+    this.emit = emit;
+    this.dedup = !!opts.dedup;
+    this.repeatInterval = opts.repeatInterval || 30000;
+    this.rate = opts.rate || 0;
+    this.burst = opts.burst || Math.max(1, this.rate);
+    this.keyOf = opts.key || null;
+    this.maxKeys = opts.maxKeys || 10000;
+
+    this.counts = { duplicates: 0, rateLimited: 0 };
+    this._lastLine = null;
+    this._repeats = 0;
+    this._repeatTimer = null;
+    this._buckets = {};             // by ':' + key, to not collide with the Object properties
+    this._bucketCount = 0;
+}
+
+LineFilter.prototype = {
+
+    // pass the newline terminated line through the filters
+    push: function push( line ) {
+        if (this.dedup && line === this._lastLine) {
+            this.counts.duplicates += 1;
+            if (++this._repeats === 1) this._startRepeatTimer();
+            return;
+        }
+        if (this.rate && !this._takeToken(this.keyOf ? String(this.keyOf(line)) : '')) {
+            this.counts.rateLimited += 1;
+            return;
+        }
+        this.flush();
+        if (this.dedup) this._lastLine = line;
+        this.emit(line);
+    },
+
+    // report the repeats of the last line so far.  Further repeats are counted anew
+    flush: function flush( ) {
+        if (this._repeatTimer) { clearTimeout(this._repeatTimer); this._repeatTimer = null }
+        if (!this._repeats) return;
+        var repeats = this._repeats;
+        this._repeats = 0;
+        this.emit("last message repeated " + repeats + (repeats === 1 ? " time\n" : " times\n"));
+    },
+
+    // report the repeats so far, and forget the last line
+    close: function close( ) {
+        this.flush();
+        this._lastLine = null;
+    },
+
+    getCounts: function getCounts( ) {
+        return { duplicates: this.counts.duplicates, rateLimited: this.counts.rateLimited };
+    },
+
+    // the repeat timer alone does not keep the process running
+    _startRepeatTimer: function _startRepeatTimer( ) {
+        var self = this;
+        this._repeatTimer = setTimeout(function() { self._repeatTimer = null; self.flush() }, this.repeatInterval);
+        if (this._repeatTimer.unref) this._repeatTimer.unref();
+    },
+
+    // take a token from the bucket of the key, refilled for the time since it was last used
+    _takeToken: function _takeToken( key ) {
+        var now = Date.now();
+        var bucket = this._buckets[':' + key];
+        if (!bucket) {
+            if (this._bucketCount >= this.maxKeys) this._forgetIdleBuckets(now);
+            bucket = this._buckets[':' + key] = { tokens: this.burst, time: now };
+            this._bucketCount += 1;
+        }
+        bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.time) * this.rate / 1000);
+        bucket.time = now;
+        if (bucket.tokens < 1) return false;
+        bucket.tokens -= 1;
+        return true;
+    },
+
+    // a bucket that has refilled is the same as a new one.  If none have, forget the oldest
+    _forgetIdleBuckets: function _forgetIdleBuckets( now ) {
+        var buckets = {}, count = 0, oldest = null;
+        for (var name in this._buckets) {
+            var bucket = this._buckets[name];
+            if (bucket.tokens + (now - bucket.time) * this.rate / 1000 >= this.burst) continue;
+            buckets[name] = bucket;
+            count += 1;
+            if (!oldest || bucket.time < buckets[oldest].time) oldest = name;
+        }
+        if (count >= this.maxKeys) { delete buckets[oldest]; count -= 1 }
+        this._buckets = buckets;
+        this._bucketCount = count;
+    },
+}
@@ -0,0 +1,237 @@
+/**
+ * LineReader -- follow a file written by FileWriter and return the complete lines
+ *
+ * Keeps reading the file after it is renamed or removed until no more lines
+ * arrive, then switches to the newly created file.  The byte offset of the
+ * lines returned so far can be checkpointed to a state file, for a restarted
+ * reader to resume from where it left off.
+ *
+ * Copyright (C) 2026 Andras Radics
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+var fs = require('fs');
+var _callAsPromise = require('./filewriter')._callAsPromise;
+
+module.exports = LineReader;
+
+var allocBuf = eval('parseInt(process.versions.node) >= 7 ? Buffer.allocUnsafe : Buffer');
+
+/*
+ * options:
+ *     stateFile:       file to checkpoint the read offset to, default none
+ *     autoCheckpoint:  checkpoint the lines returned by the previous getLines on the next call, default false
+ *     pollInterval:    milliseconds between checks for more lines, default 100
+ *     settleTime:      milliseconds to keep reading a renamed file, default 200
+ *     readSize:        bytes to read at a time, default 64k
+ *     encoding:        encoding of the lines, default 'utf8'
+ *     onGap:           function(state) called with the checkpointed {filename, ino, dev, offset}
+ *                      if that file is gone or truncated and its unread lines are lost, default a warning
+ */
+function LineReader( filename, opts ) {
+    if (!(this instanceof LineReader)) return new LineReader(filename, opts);
+    if (!filename) throw new Error("missing filename");
+    opts = opts || {};
+
+    this.filename = filename;
+    this.stateFile = opts.stateFile || null;
+    this.autoCheckpoint = !!opts.autoCheckpoint;
+    this.pollInterval = opts.pollInterval || 100;
+    this.settleTime = opts.settleTime || 200;
+    this.readSize = opts.readSize || 65536;
+    this.encoding = opts.encoding || 'utf8';
+    this.onGap = opts.onGap || warnGap;
+
+    this.fd = undefined;
+    this.ino = undefined;
+    this.dev = undefined;
+    this.offset = 0;
+    this.closed = false;
+    this._state = this.stateFile ? readState(this.stateFile) : null;
+    this._checkpointed = true;
+    this._renamedAt = 0;
+    this._reading = false;
+    this._pollTimer = null;
+    this._pollCallback = null;
+}
+
+LineReader.prototype = {
+
+    // return the next complete lines, waiting for more to be written if none
+    getLines: function getLines( callback ) {
+        if (typeof callback !== 'function') return _callAsPromise(this, getLines, []);
+        if (this.closed) return callback(null, []);
+        if (this.autoCheckpoint && !this._checkpointed) {
+            try { this.checkpoint() } catch (err) { return callback(err) }
+        }
+
+        var self = this;
+        this._readLines(function(err, lines) {
+            if (err) return callback(err);
+            if (lines.length) {
+                self._checkpointed = false;
+                return callback(null, lines);
+            }
+
+            self._pollCallback = callback;
+            self._pollTimer = setTimeout(function() {
+                self._pollTimer = self._pollCallback = null;
+                self.getLines(callback);
+            }, self.pollInterval);
+        });
+    },
+
+    // save the offset of the lines returned so far to the state file
+    checkpoint: function checkpoint( callback ) {
+        if (this.stateFile) {
+            // write then rename, to not leave a partial state file
+            var state = { filename: this.filename, ino: this.ino, dev: this.dev, offset: this.offset };
+            try {
+                fs.writeFileSync(this.stateFile + '.tmp', JSON.stringify(state));
+                fs.renameSync(this.stateFile + '.tmp', this.stateFile);
+            }
+            catch (err) {
+                if (callback) return callback(err);
+                throw err;
+            }
+        }
+        this._checkpointed = true;
+        if (callback) callback(null);
+    },
+
+    // stop reading, a pending getLines returns no lines
+    close: function close( ) {
+        this.closed = true;
+        // do not close the fd out from under a read in progress, the read closes it
+        if (!this._reading) this._closeFd();
+        if (this._pollTimer) {
+            clearTimeout(this._pollTimer);
+            var callback = this._pollCallback;
+            this._pollTimer = this._pollCallback = null;
+            callback(null, []);
+        }
+    },
+
+    _closeFd: function _closeFd( ) {
+        if (this.fd !== undefined) try { fs.closeSync(this.fd) } catch (err) { }
+        this.fd = undefined;
+    },
+
+    // open the file, resuming from the checkpointed offset if still the same file
+    _open: function _open( ) {
+        try { this.fd = fs.openSync(this.filename, 'r') }
+        catch (err) { if (err.code === 'ENOENT') return false; throw err }
+        var stat = fs.fstatSync(this.fd);
+        this.ino = stat.ino;
+        this.dev = stat.dev;
+        this.offset = 0;
+        var state = this._state;
+        this._state = null;
+        if (state && state.ino === stat.ino && state.dev === stat.dev && state.offset <= stat.size) this.offset = state.offset;
+        // the checkpointed file was renamed or truncated while not running, the rest of it is not read
+        else if (state && state.offset > 0) this.onGap(state);
+        return true;
+    },
+
+    // read the complete lines available.  A reader closed meanwhile returns no lines
+    _readLines: function _readLines( callback ) {
+        var self = this;
+        this._reading = true;
+        this._readAvailable(function(err, lines) {
+            self._reading = false;
+            if (self.closed) { self._closeFd(); return callback(null, []) }
+            callback(err, lines);
+        });
+    },
+
+    _readAvailable: function _readAvailable( callback ) {
+        // note: open and stat are metadata operations, fast enough to make sync
+        if (this.fd === undefined) {
+            var opened;
+            try { opened = this._open() } catch (err) { return callback(err) }
+            if (!opened) return callback(null, []);
+        }
+
+        var self = this;
+        fs.fstat(this.fd, function(err, stat) {
+            if (err) return callback(err);
+            if (stat.size < self.offset) self.offset = 0;   // truncated
+            var avail = stat.size - self.offset;
+            if (avail <= 0) return self._switchIfRenamed(0, callback);
+            self._read(Math.min(avail, self.readSize), function(err, buf) {
+                if (err) return callback(err);
+                // a line longer than readSize is read whole
+                if (buf.lastIndexOf(10) < 0 && buf.length < avail) self._read(avail, splitLines);
+                else splitLines(null, buf);
+            });
+
+            function splitLines( err, buf ) {
+                if (err) return callback(err);
+                var eol = buf.lastIndexOf(10);
+                if (eol < 0) return self._switchIfRenamed(avail, callback);
+                self.offset += eol + 1;
+                self._renamedAt = 0;
+                callback(null, buf.toString(self.encoding, 0, eol).split('\n'));
+            }
+        });
+    },
+
+    // no complete lines.  If the file was renamed or removed, keep reading it
+    // until the writers have all switched to the new file, then switch too.
+    _switchIfRenamed: function _switchIfRenamed( avail, callback ) {
+        var current;
+        try { current = fs.statSync(this.filename) } catch (err) { if (err.code !== 'ENOENT') return callback(err) }
+        if (current && current.ino === this.ino && current.dev === this.dev) return callback(null, []);
+        if (!this._renamedAt) this._renamedAt = Date.now();
+        if (Date.now() - this._renamedAt < this.settleTime) return callback(null, []);
+
+        // return the unterminated last line too, nothing more will be appended to it
+        var self = this;
+        if (avail > 0) this._read(avail, function(err, buf) { if (err) callback(err); else switchFile([buf.toString(self.encoding)]) });
+        else switchFile([]);
+
+        function switchFile( lines ) {
+            self._closeFd();
+            self._renamedAt = 0;
+            if (lines.length) callback(null, lines);
+            else self._readAvailable(callback);
+        }
+    },
+
+    _read: function _read( nbytes, callback ) {
+        var buf = allocBuf(nbytes);
+        fs.read(this.fd, buf, 0, nbytes, this.offset, function(err, nread) {
+            callback(err, nread < nbytes ? buf.slice(0, nread) : buf);
+        });
+    },
+}
+
+// `for await (var line of reader)` returns the lines until the reader is closed
+if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+    LineReader.prototype[Symbol.asyncIterator] = function( ) {
+        var self = this, lines = [];
+        return {
+            next: function next( ) {
+                if (lines.length) return Promise.resolve({ value: lines.shift(), done: false });
+                if (self.closed) return Promise.resolve({ value: undefined, done: true });
+                return self.getLines().then(function(batch) { lines = batch; return next() });
+            },
+            return: function( ) {
+                self.close();
+                return Promise.resolve({ value: undefined, done: true });
+            },
+        };
+    }
+}
+
+function warnGap( state ) {
+    console.warn("qfputs: LineReader: checkpointed file " + state.filename + " inode " + state.ino +
+        " is gone or truncated, lines after offset " + state.offset + " were not read");
+}
+
+function readState( stateFile ) {
+    try { return JSON.parse(fs.readFileSync(stateFile)) }
+    catch (err) { return null }
+}
@@ -0,0 +1,96 @@
+/**
+ * prefix -- line decorators that stamp each line with a timestamp, hostname, pid, tag and sequence number
+ *
+ * The hostname, pid and tag are formatted once, and the timestamp at most once
+ * per millisecond, to keep the per-line cost down to a few string appends.
+ *
+ * Copyright (C) 2026 Andras Radics
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+var os = require('os');
+
+module.exports = {
+    create: create,
+    formatTime: formatTime,
+};
+
+/*
+ * return a function that prefixes the newline terminated string with the fields,
+ * in the order timestamp, hostname, pid, tag, seq.  The second and later lines
+ * of a multi-line string get the continuation marker instead.
+ *
+ * options:
+ *     timestamp:       'iso', 'epoch' (milliseconds) or a strftime-like pattern, default none
+ *     hostname:        include the hostname, default false
+ *     pid:             include the process id, default false
+ *     tag:             static string to include, default none
+ *     seq:             include the line sequence number, counting from 1, default false
+ *     separator:       string between the fields and after the last one, default ' '
+ *     continuation:    prefix of the continuation lines, default two spaces
+ */
+function create( opts ) {
+    if (typeof opts === 'function') return opts;
+    if (!opts || typeof opts !== 'object') throw new Error("invalid prefix options");
+
+    var timestamp = opts.timestamp === true ? 'iso' : opts.timestamp || null;
+    if (timestamp && timestamp !== 'iso' && timestamp !== 'epoch' && String(timestamp).indexOf('%') < 0) {
+        throw new Error("invalid prefix timestamp " + timestamp);
+    }
+    var separator = opts.separator !== undefined ? String(opts.separator) : ' ';
+    var continuation = opts.continuation !== undefined ? String(opts.continuation) : '  ';
+    var withSeq = !!opts.seq;
+
+    var fields = [];
+    if (opts.hostname) fields.push(os.hostname());
+    if (opts.pid) fields.push(process.pid);
+    if (opts.tag !== undefined && opts.tag !== null) fields.push(opts.tag);
+    var fixed = fields.length ? fields.join(separator) + separator : '';
+
+    var seq = 0;
+    var stampTime = -1, stamp = '';
+    function newlineContinued() { return '\n' + continuation }
+
+    return function decorate( str ) {
+        var head = fixed;
+        if (timestamp) {
+            var now = Date.now();
+            if (now !== stampTime) {
+                stampTime = now;
+                stamp = formatStamp(timestamp, now) + separator;
+            }
+            head = stamp + fixed;
+        }
+        if (withSeq) head += (++seq) + separator;
+
+        // the common case is a single line
+        var eol = str.indexOf('\n');
+        if (eol < 0 || eol === str.length - 1) return head + str;
+        return head + str.replace(/\n(?!$)/g, newlineContinued);
+    }
+}
+
+function formatStamp( timestamp, now ) {
+    if (timestamp === 'iso') return new Date(now).toISOString();
+    if (timestamp === 'epoch') return String(now);
+    return formatTime(timestamp, new Date(now));
+}
+
+// expand the strftime-like %Y %m %d %H %M %S %L (milliseconds) %% conversions, in local time
+function formatTime( pattern, date ) {
+    function pad(n, width) { n = '' + n; while (n.length < (width || 2)) n = '0' + n; return n }
+    return pattern.replace(/%([YmdHMSL%])/g, function(match, conv) {
+        switch (conv) {
+        case 'Y': return '' + date.getFullYear();
+        case 'm': return pad(date.getMonth() + 1);
+        case 'd': return pad(date.getDate());
+        case 'H': return pad(date.getHours());
+        case 'M': return pad(date.getMinutes());
+        case 'S': return pad(date.getSeconds());
+        case 'L': return pad(date.getMilliseconds(), 3);
+        case '%': return '%';
+        }
+    });
+}
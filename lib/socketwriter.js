@@ -0,0 +1,112 @@
+/**
+ * SocketWriter -- TCP and unix-domain socket writable for Fputs
+ *
+ * Connects on first write, and reconnects with backoff when the connection drops.
+ * Writes are held until connected, so the data stays buffered in Fputs.
+ * A write that fails because the connection dropped is sent again once reconnected.
+ *
+ * Copyright (C) 2026 Andras Radics
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+var net = require('net');
+
+module.exports = SocketWriter;
+
+/*
+ * options:
+ *     host, port:          TCP address to connect to, default host 'localhost'
+ *     path:                unix-domain socket to connect to, instead of host and port
+ *     reconnectDelay:      milliseconds to wait before the first reconnect, default 100
+ *     maxReconnectDelay:   longest wait between reconnects, default 5000
+ */
+function SocketWriter( opts ) {
+    if (!(this instanceof SocketWriter)) return new SocketWriter(opts);
+    opts = opts || {};
+    if (!opts.path && !opts.port) throw new Error("missing port or path");
+
+    this._isSocketWriter = true;
+    this.connectOptions = opts.path ? { path: opts.path } : { host: opts.host || 'localhost', port: opts.port };
+    this.reconnectDelay = opts.reconnectDelay || 100;
+    this.maxReconnectDelay = opts.maxReconnectDelay || 5000;
+
+    this.socket = null;
+    this.connected = false;
+    this.closed = false;
+    this._queue = [];
+    this._sending = false;
+    this._reconnectCount = 0;
+    this._reconnectTimer = null;
+}
+
+SocketWriter.prototype = {
+
+    _connect: function _connect( ) {
+        var self = this;
+        var socket = this.socket = net.connect(this.connectOptions);
+        socket.on('connect', function() {
+            self.connected = true;
+            self._reconnectCount = 0;
+            self._send();
+        });
+        // a 'close' always follows the error
+        socket.on('error', function(err) { });
+        socket.on('close', function() {
+            if (self.socket !== socket) return;
+            self.socket = null;
+            self.connected = false;
+            self._sending = false;
+            // reconnect only if there is data to send, to not keep timers running while idle
+            if (!self.closed && self._queue.length) self._reconnect();
+        });
+    },
+
+    _reconnect: function _reconnect( ) {
+        var self = this;
+        var delay = Math.min(this.maxReconnectDelay, this.reconnectDelay * Math.pow(2, this._reconnectCount));
+        this._reconnectCount += 1;
+        this._reconnectTimer = setTimeout(function() {
+            self._reconnectTimer = null;
+            self._connect();
+        }, delay);
+    },
+
+    // send the queued writes one at a time, a failed write stays at the head of the queue
+    _send: function _send( ) {
+        if (this._sending || !this.connected || !this._queue.length) return;
+        var self = this, socket = this.socket;
+        var item = this._queue[0];
+        this._sending = true;
+        socket.write(item.data, function(err) {
+            if (self.socket !== socket) return;
+            self._sending = false;
+            if (err) return socket.destroy();
+            self._queue.shift();
+            // strings are sent utf8 encoded, count them in bytes
+            item.cb(null, Buffer.isBuffer(item.data) ? item.data.length : Buffer.byteLength(item.data));
+            self._send();
+        });
+    },
+
+    // write the data to the socket, and call cb once written
+    write: function write( data, cb ) {
+        if (this.closed) return cb(new Error("SocketWriter closed"));
+        this._queue.push({ data: data, cb: cb });
+        if (this.connected) this._send();
+        else if (!this.socket && !this._reconnectTimer) this._connect();
+    },
+
+    // close the connection once all queued writes have been sent
+    close: function close( cb ) {
+        var self = this;
+        this.closed = true;
+        if (this._reconnectTimer) { clearTimeout(this._reconnectTimer); this._reconnectTimer = null }
+        var queue = this._queue;
+        this._queue = [];
+        for (var i = 0; i < queue.length; i++) queue[i].cb(new Error("SocketWriter closed"));
+        if (this.socket) this.socket.end(function() { if (cb) cb() });
+        else if (cb) cb();
+    },
+}
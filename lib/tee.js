@@ -0,0 +1,121 @@
+/**
+ * Tee -- fan-out writable that writes each chunk to several writables
+ *
+ * By default a write completes once all targets have written the chunk,
+ * so a slow target holds up the others.  With the isolate option each target
+ * gets its own Fputs buffer, and a slow or failing target does not block the others.
+ *
+ * Target errors are tagged with the target index in err.teeIndex.
+ *
+ * Copyright (C) 2026 Andras Radics
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+var FileWriter = require('./filewriter');
+
+module.exports = Tee;
+
+/*
+ * options:
+ *     isolate:     buffer each target separately, default false
+ *     other options are passed to the per-target Fputs when isolated
+ */
+function Tee( writables, opts ) {
+    if (!(this instanceof Tee)) return new Tee(writables, opts);
+    if (!Array.isArray(writables) || !writables.length) throw new Error("missing writables");
+    opts = opts || {};
+
+    this._isTee = true;
+    this.isolate = !!opts.isolate;
+    this.targets = [];
+    this._error = null;
+    this._onError = null;
+
+    var self = this;
+    var Fputs = require('./fputs');
+    for (var i = 0; i < writables.length; i++) {
+        var writable = writables[i];
+        if (this.isolate) {
+            writable = new Fputs(writable, opts);
+            writable.setOnError(makeErrorHandler(this, i));
+        }
+        else if (typeof writable === 'string') {
+            writable = new FileWriter(writable);
+        }
+        if (!this.isolate && writable._isFileWriter) writable.setOnError(makeErrorHandler(this, i));
+        this.targets.push(writable);
+    }
+
+    function makeErrorHandler(tee, ix) {
+        return function(err) { tee.reportError(err, ix) };
+    }
+}
+
+Tee.prototype = {
+
+    reportError: function reportError( err, ix ) {
+        if (ix !== undefined) err.teeIndex = ix;
+        if (this._onError) this._onError(err);
+        else if (!this._error) this._error = err;
+    },
+
+    returnError: function returnError( ) {
+        var err = this._error;
+        this._error = null;
+        return err;
+    },
+
+    // report each target error to the handler, also installed by Fputs to forward the errors to its own
+    setOnError: function setOnError( handler ) {
+        this._onError = handler;
+        if (this._error) handler(this.returnError());
+        return this;
+    },
+
+    // write the data to every target
+    write: function write( data, cb ) {
+        var self = this, targets = this.targets;
+        if (this.isolate) {
+            for (var i = 0; i < targets.length; i++) targets[i].write(data);
+            return cb(this.returnError(), data.length);
+        }
+
+        var ndone = 0;
+        for (var i = 0; i < targets.length; i++) targets[i].write(data, makeWriteCallback(i));
+        function makeWriteCallback(ix) {
+            return function(err) {
+                if (err) self.reportError(err, ix);
+                if (++ndone === targets.length) cb(self.returnError(), data.length);
+            }
+        }
+    },
+
+    // wait for the isolated targets to write all the data written to the tee
+    fflush: function fflush( cb ) {
+        var self = this, targets = this.targets;
+        if (!this.isolate) return cb(this.returnError());
+
+        var ndone = 0;
+        for (var i = 0; i < targets.length; i++) targets[i].fflush(function(err) {
+            if (++ndone === targets.length) cb(self.returnError());
+        });
+    },
+
+    // flush and close the targets that can be closed
+    close: function close( cb ) {
+        var self = this;
+        this.fflush(function(err) {
+            // call back once the sockets are closed too
+            var pending = 1;
+            function closed() { if (--pending === 0 && cb) cb(err) }
+            for (var i = 0; i < self.targets.length; i++) {
+                var target = self.targets[i];
+                if (self.isolate || target._isSocketWriter || target._isDgramWriter) { pending += 1; target.close(closed) }
+                else if (target._isFileWriter) target.close();
+            }
+            closed();
+        });
+    },
+}
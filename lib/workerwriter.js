@@ -0,0 +1,390 @@
+/**
+ * WorkerWriter -- FileWriter running in a worker thread, fed through a SharedArrayBuffer ring buffer
+ *
+ * Writes are copied into the ring buffer and accepted right away.  The worker
+ * thread owns the FileWriter that locks and writes the file, so those callbacks
+ * do not run on the main event loop.  Chunks too large for the ring buffer are
+ * posted to the worker once the ring is empty.  If the worker thread exits,
+ * the data it had not yet written is written from this thread instead.
+ *
+ * Copyright (C) 2026 Andras Radics
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+var FileWriter = require('./filewriter');
+var workerThreads = _tryRequire('worker_threads');
+function _tryRequire(name) { return eval("try { require('" + name + "') } catch (e) { }") }
+
+module.exports = WorkerWriter;
+
+var fromBuf = eval('parseInt(process.versions.node) >= 7 ? Buffer.from : Buffer');
+
+// the Int32 slots of the ring buffer header
+var USED = 0;           // bytes in the ring, added by the main thread, removed by the worker once written
+var IDLE = 1;           // set by the worker when it runs out of data, taken by the main thread to wake it
+var POSTED = 2;         // bytes posted to the worker outside the ring and not yet written
+var HEADER_SIZE = 16;
+
+/*
+ * options:
+ *     ringSize:        bytes in the ring buffer, default 4 * writesize
+ *     other options are passed to the FileWriter
+ */
+function WorkerWriter( filename, opts ) {
+    if (!(this instanceof WorkerWriter)) return new WorkerWriter(filename, opts);
+    if (!WorkerWriter.isSupported()) throw new Error("worker threads not available");
+    opts = opts || {};
+
+    var fileOptions = {};
+    for (var k in opts) if (k !== 'ringSize') fileOptions[k] = opts[k];
+    // the FileWriter of this thread checks the options, and writes if the worker exits
+    this._localWriter = new FileWriter(filename, fileOptions);
+
+    this._isWorkerWriter = true;
+    this.filename = filename;
+    this.encoding = this._localWriter.encoding;
+    this.lockProvider = this._localWriter.lockProvider;
+    this.durability = this._localWriter.durability;
+    this.ringSize = opts.ringSize || 4 * (opts.writesize || 102400);
+
+    var sab = new SharedArrayBuffer(HEADER_SIZE + this.ringSize);
+    this._header = new Int32Array(sab, 0, HEADER_SIZE / 4);
+    this._ring = fromBuf(sab, HEADER_SIZE, this.ringSize);
+    this._header[IDLE] = 1;
+    this._head = 0;                 // ring offset of the next write
+    this._posted = null;            // the chunk posted to the worker outside the ring
+
+    this._queue = [];               // the writes waiting for room in the ring, {data, nbytes, cb}
+    this._accepted = 0;             // bytes accepted for writing
+    this._written = 0;              // bytes written by the worker
+    this._flushWaiters = [];
+    this._syncWaiters = [];         // the fsync callbacks waiting for the worker to sync
+    this._stats = { writeCalls: 0, bytesWritten: 0, lockWaitMs: 0, reopenCount: 0 };
+    this._error = null;
+    this._onError = null;
+    this._closing = false;
+    this._fallback = false;
+
+    var self = this;
+    this._localWriter.setOnError(function(err) { self.reportError(err) });
+    this._worker = new workerThreads.Worker(__filename, {
+        workerData: { qfputsWorkerWriter: true, filename: filename, options: fileOptions, sab: sab, ringSize: this.ringSize },
+    });
+    this._worker.on('message', function(msg) { self._onWritten(msg) });
+    this._worker.on('error', function(err) { self._useLocalWriter(err) });
+    this._worker.on('exit', function(code) {
+        self._notifySyncWaiters(new Error("writer thread exited before the sync"));
+        if (!self._closing) self._useLocalWriter(new Error("exited with code " + code));
+    });
+    // an idle worker does not keep the process running
+    this._worker.unref();
+}
+
+// worker threads need node v11.7 or newer, and shared memory
+WorkerWriter.isSupported = function isSupported( ) {
+    return !!(workerThreads && workerThreads.Worker && typeof SharedArrayBuffer === 'function' && typeof Atomics === 'object');
+}
+
+WorkerWriter.prototype = {
+
+    reportError: function reportError( err ) {
+        if (this._onError) this._onError(err);
+        else if (!this._error) this._error = err;
+    },
+
+    returnError: function returnError( ) {
+        var err = this._error;
+        this._error = null;
+        return err;
+    },
+
+    setOnError: function setOnError( handler ) {
+        this._onError = handler;
+        if (this._error) handler(this.returnError());
+        return this;
+    },
+
+    // accept the string or Buffer for writing once it is in the ring buffer.
+    // Write errors are reported to the setOnError handler, and by fflush.
+    write: function write( data, cb ) {
+        var nbytes = Buffer.isBuffer(data) ? data.length : Buffer.byteLength(data = String(data), this.encoding);
+        this._queue.push({ data: data, nbytes: nbytes, cb: cb });
+        this._acceptQueued();
+    },
+
+    writev: function writev( buffers, cb ) {
+        var nbytes = 0;
+        for (var i = 0; i < buffers.length; i++) nbytes += buffers[i].length;
+        this._queue.push({ data: buffers, nbytes: nbytes, cb: cb });
+        this._acceptQueued();
+    },
+
+    // wait for the data accepted so far to be written
+    fflush: function fflush( cb ) {
+        var offset = this._accepted;
+        for (var i = 0; i < this._queue.length; i++) offset += this._queue[i].nbytes;
+        if (this._written >= offset) return cb(this.returnError());
+        this._flushWaiters.push({ offset: offset, cb: cb });
+    },
+
+    // wait for the data accepted so far to be written, then have the worker fdatasync the file
+    fsync: function fsync( cb ) {
+        var self = this;
+        this.fflush(function(err) {
+            if (self._fallback) return self._localWriter.fsync(function(err2) { cb(err || err2) });
+            self._syncWaiters.push(function(err2) { cb(err || err2) });
+            self._worker.ref();
+            self._worker.postMessage({ type: 'fsync' });
+        });
+    },
+
+    // flush, then close the FileWriter and end the worker
+    close: function close( cb ) {
+        var self = this;
+        this.fflush(function(err) {
+            self._closing = true;
+            self._localWriter.close();
+            if (self._fallback) return cb && cb(err);
+            // keep the process running until the worker has closed the file
+            self._worker.ref();
+            self._worker.once('exit', function() { if (cb) cb(err) });
+            self._worker.postMessage({ type: 'close' });
+        });
+    },
+
+    getStats: function getStats( ) {
+        if (this._fallback) return this._localWriter.getStats();
+        var stats = this._stats;
+        return { writeCalls: stats.writeCalls, bytesWritten: stats.bytesWritten, lockWaitMs: stats.lockWaitMs, reopenCount: stats.reopenCount };
+    },
+
+    // synchronously write the data, for when async i/o is not possible eg on exit.
+    // The data accepted before is written first.  Returns the number of bytes written.
+    writeSync: function writeSync( data ) {
+        this.fflushSync();
+        return this._localWriter.writeSync(data);
+    },
+
+    // synchronously write the data accepted so far.  The worker is given mutexTimeout
+    // to write the ring contents, after that they are written from this thread.
+    fflushSync: function fflushSync( ) {
+        if (!this._fallback) {
+            var header = this._header, deadline = Date.now() + FileWriter.mutexTimeout;
+            while (Date.now() < deadline) {
+                var slot = Atomics.load(header, USED) ? USED : Atomics.load(header, POSTED) ? POSTED : -1;
+                if (slot < 0) break;
+                Atomics.wait(header, slot, Atomics.load(header, slot), Math.min(10, deadline - Date.now()));
+            }
+            if (Atomics.load(header, USED) || Atomics.load(header, POSTED)) {
+                // the worker is stuck, write from this thread from now on
+                this._fallback = true;
+                this._worker.terminate();
+            }
+            this._takeUnwritten(function(data, nbytes) { this._localWriter.writeSync(data); this._written += nbytes });
+        }
+        this._localWriter.fflushSync();
+        while (this._queue.length) {
+            var item = this._queue.shift();
+            var nb = this._localWriter.writeSync(Array.isArray(item.data) ? Buffer.concat(item.data) : item.data);
+            this._accepted += item.nbytes;
+            this._written += item.nbytes;
+            if (item.cb) item.cb(null, nb);
+        }
+        this._notifyFlushWaiters();
+    },
+
+    // move the queued writes into the ring buffer while they fit, in order
+    _acceptQueued: function _acceptQueued( ) {
+        var header = this._header;
+        while (this._queue.length) {
+            var item = this._queue[0];
+            if (this._fallback) {
+                this._queue.shift();
+                this._writeLocal(item);
+                continue;
+            }
+            if (item.nbytes > this.ringSize) {
+                // too large for the ring, post it once the data before it has been written
+                if (Atomics.load(header, USED) || this._posted) break;
+                this._posted = item;
+                Atomics.store(header, POSTED, item.nbytes);
+                this._worker.ref();
+                this._worker.postMessage({ type: 'write', data: Array.isArray(item.data) ? Buffer.concat(item.data) : item.data, nbytes: item.nbytes });
+            }
+            else {
+                if (this._posted || this.ringSize - Atomics.load(header, USED) < item.nbytes) break;
+                this._copyIn(item);
+                // the worker sees only whole writes
+                Atomics.add(header, USED, item.nbytes);
+                this._worker.ref();
+                if (Atomics.exchange(header, IDLE, 0) === 1) this._worker.postMessage({ type: 'wake' });
+            }
+            this._queue.shift();
+            this._accepted += item.nbytes;
+            if (item.cb) item.cb(null, item.nbytes);
+        }
+    },
+
+    // copy the data to the head of the ring, wrapping around at the end
+    _copyIn: function _copyIn( item ) {
+        var ring = this._ring, head = this._head, data = item.data;
+        if (typeof data === 'string' && head + item.nbytes <= this.ringSize) ring.write(data, head, item.nbytes, this.encoding);
+        else {
+            var buffers = typeof data === 'string' ? [fromBuf(data, this.encoding)] : Array.isArray(data) ? data : [data];
+            for (var i = 0; i < buffers.length; i++) {
+                var buf = buffers[i], n = Math.min(buf.length, this.ringSize - head);
+                buf.copy(ring, head, 0, n);
+                if (n < buf.length) buf.copy(ring, 0, n);
+                head = (head + buf.length) % this.ringSize;
+            }
+        }
+        this._head = (this._head + item.nbytes) % this.ringSize;
+    },
+
+    _onWritten: function _onWritten( msg ) {
+        if (msg.synced) return this._onSynced(msg);
+        if (msg.error) {
+            var err = new Error(msg.error.message);
+            err.code = msg.error.code;
+            this.reportError(err);
+        }
+        if (msg.stats) this._stats = msg.stats;
+        if (msg.posted) this._posted = null;
+        this._written += msg.nbytes;
+        this._acceptQueued();
+        if (this._written >= this._accepted && !this._queue.length && !this._syncWaiters.length && !this._fallback) this._worker.unref();
+        this._notifyFlushWaiters();
+    },
+
+    // the worker answers the fsyncs in order
+    _onSynced: function _onSynced( msg ) {
+        var err = msg.error ? new Error(msg.error.message) : null;
+        if (err) err.code = msg.error.code;
+        var cb = this._syncWaiters.shift();
+        if (!this._syncWaiters.length && this._written >= this._accepted && !this._queue.length) this._worker.unref();
+        if (cb) cb(err);
+    },
+
+    _notifySyncWaiters: function _notifySyncWaiters( err ) {
+        while (this._syncWaiters.length) this._syncWaiters.shift()(err);
+    },
+
+    _notifyFlushWaiters: function _notifyFlushWaiters( ) {
+        while (this._flushWaiters.length && this._flushWaiters[0].offset <= this._written) {
+            this._flushWaiters.shift().cb(this.returnError());
+        }
+    },
+
+    // pass the unwritten ring contents or posted chunk to the handler, and empty the ring
+    _takeUnwritten: function _takeUnwritten( handler ) {
+        var header = this._header;
+        var used = Atomics.load(header, USED);
+        if (used) {
+            var tail = (this._head - used + this.ringSize) % this.ringSize;
+            var data = tail + used <= this.ringSize ? fromBuf(this._ring.slice(tail, tail + used))
+                : Buffer.concat([this._ring.slice(tail), this._ring.slice(0, used - (this.ringSize - tail))]);
+            Atomics.store(header, USED, 0);
+            handler.call(this, data, used);
+        }
+        // the posted chunk may have been written already, without the message saying so processed yet
+        if (this._posted && Atomics.load(header, POSTED)) {
+            var posted = this._posted;
+            Atomics.store(header, POSTED, 0);
+            handler.call(this, Array.isArray(posted.data) ? Buffer.concat(posted.data) : posted.data, posted.nbytes);
+        }
+        this._posted = null;
+    },
+
+    // the worker exited, write the rest of the data from this thread
+    _useLocalWriter: function _useLocalWriter( err ) {
+        if (this._fallback) return;
+        this._fallback = true;
+        console.warn("qfputs: writer thread failed, writing from the main thread: " + err.message);
+        this._takeUnwritten(function(data, nbytes) { this._writeLocal({ data: data, nbytes: nbytes, cb: null }, true) });
+        this._acceptQueued();
+    },
+
+    // write with the FileWriter of this thread.  Data already counted as accepted is not counted again
+    _writeLocal: function _writeLocal( item, accepted ) {
+        var self = this;
+        if (!accepted) this._accepted += item.nbytes;
+        this._localWriter.write(item.data, function(err, nb) {
+            if (item.cb) item.cb(err, nb);
+            else if (err) self.reportError(err);
+            self._onWritten({ nbytes: item.nbytes });
+        });
+    },
+}
+
+
+// the worker thread: write the ring buffer contents as they arrive
+function runWorker( workerData ) {
+    var parentPort = workerThreads.parentPort;
+    var header = new Int32Array(workerData.sab, 0, HEADER_SIZE / 4);
+    var ring = fromBuf(workerData.sab, HEADER_SIZE, workerData.ringSize);
+    var ringSize = workerData.ringSize;
+    var writer = new FileWriter(workerData.filename, workerData.options);
+    var tail = 0, writing = false;
+    // errors not returned by a write, eg of compressing a rotated file
+    writer.setOnError(function(err) { done(0, err, false) });
+
+    parentPort.on('message', function(msg) {
+        if (msg.type === 'wake') writeRing();
+        else if (msg.type === 'write') writePosted(msg);
+        else if (msg.type === 'fsync') writer.fsync(synced);
+        else if (msg.type === 'close') { writer.close(); parentPort.close() }
+    });
+
+    function synced( err ) {
+        var error = err ? { message: err.message, code: err.code } : null;
+        parentPort.postMessage({ synced: true, error: error });
+    }
+
+    function writeRing( ) {
+        if (writing) return;
+        var used = Atomics.load(header, USED);
+        if (!used) {
+            Atomics.store(header, IDLE, 1);
+            // data added before the main thread saw the idle flag is written now, else it wakes us
+            if (!Atomics.load(header, USED) || Atomics.exchange(header, IDLE, 0) !== 1) return;
+            used = Atomics.load(header, USED);
+        }
+        writing = true;
+        var end = tail + used;
+        var write = end <= ringSize
+            ? function(cb) { writer.write(ring.slice(tail, end), cb) }
+            : function(cb) { writer.writev([ring.slice(tail), ring.slice(0, end - ringSize)], cb) };
+        write(function(err, nb) {
+            tail = end % ringSize;
+            Atomics.sub(header, USED, used);
+            Atomics.notify(header, USED);
+            writing = false;
+            done(used, err, false);
+            writeRing();
+        });
+    }
+
+    // the ring is empty while a posted chunk is written.  Posted Buffers arrive as Uint8Arrays
+    function writePosted( msg ) {
+        var data = typeof msg.data === 'string' ? msg.data : fromBuf(msg.data.buffer, msg.data.byteOffset, msg.data.byteLength);
+        writing = true;
+        writer.write(data, function(err, nb) {
+            Atomics.store(header, POSTED, 0);
+            Atomics.notify(header, POSTED);
+            writing = false;
+            done(msg.nbytes, err, true);
+            writeRing();
+        });
+    }
+
+    function done( nbytes, err, posted ) {
+        var error = err ? { message: err.message, code: err.code } : null;
+        parentPort.postMessage({ nbytes: nbytes, error: error, posted: posted, stats: writer.getStats() });
+    }
+}
+
+if (workerThreads && !workerThreads.isMainThread && workerThreads.workerData && workerThreads.workerData.qfputsWorkerWriter) {
+    runWorker(workerThreads.workerData);
+}
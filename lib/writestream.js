@@ -0,0 +1,46 @@
+/**
+ * FputsWriteStream -- stream.Writable adapter for Fputs
+ *
+ * Lets an Fputs be the target of readable.pipe() and stream.pipeline().
+ * Data is write-combined by the Fputs, backpressure is from its highWaterMark.
+ *
+ * Copyright (C) 2026 Andras Radics
+ * Licensed under the Apache License, Version 2.0
+ */
+
+'use strict';
+
+var stream = require('stream');
+var util = require('util');
+var fromBuf = eval('parseInt(process.versions.node) >= 7 ? Buffer.from : Buffer');
+
+module.exports = FputsWriteStream;
+
+function FputsWriteStream( fputs, opts ) {
+    if (!(this instanceof FputsWriteStream)) return new FputsWriteStream(fputs, opts);
+    opts = opts || {};
+    stream.Writable.call(this, { highWaterMark: opts.highWaterMark || fputs.highWaterMark, decodeStrings: false });
+
+    this.fputs = fputs;
+
+    // write errors are reported as stream errors
+    var self = this;
+    fputs.setOnError(function(err) { self.destroy(err) });
+}
+util.inherits(FputsWriteStream, stream.Writable);
+
+FputsWriteStream.prototype._write = function _write( chunk, encoding, cb ) {
+    if (typeof chunk === 'string' && encoding !== this.fputs.encoding && encoding !== 'buffer') chunk = fromBuf(chunk, encoding);
+    // accept more data right away while the Fputs is below its highWaterMark
+    if (this.fputs.write(chunk)) cb();
+    else this.fputs.drain(this.fputs.highWaterMark, cb);
+}
+
+FputsWriteStream.prototype._final = function _final( cb ) {
+    this.fputs.close(cb);
+}
+
+FputsWriteStream.prototype._destroy = function _destroy( err, cb ) {
+    // discard unwritten data but let the current write finish
+    this.fputs.abort(function(err2) { cb(err || err2) });
+}
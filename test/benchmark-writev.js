@@ -0,0 +1,45 @@
+'use strict';
+
+// run only standalone, not when loaded by the test runner
+if (require.main !== module) return;
+
+var fs = require('fs');
+var fputs = require('../');
+var setImmediate = global.setImmediate || process.nextTick;
+
+var filename = '/tmp/test-writev.out';
+
+// mixed string and Buffer lines, as from a logger that passes through preformatted Buffers
+var str = new Array(200).join('x') + '\n';
+var buf = Buffer.from(new Array(200).join('y') + '\n');
+
+var writer = fputs.FileWriter(filename, 'a');
+// the same FileWriter without writev, for the concatenating write path
+var concatWriter = { write: function(data, cb) { writer.write(data, cb) } };
+
+timeFputs('100k mixed fputs, write', concatWriter, function() {
+    timeFputs('100k mixed fputs, writev', writer, function() {
+        writer.close();
+    });
+});
+
+function timeFputs(label, writable, callback) {
+    var fp = fputs(writable, { writesize: 40960 });
+    console.time(label);
+    repeatFor(100000, function(cb, ix) { fp.write(ix % 4 ? buf : str); cb() }, function(err) {
+        fp.fflush(function(err) {
+            console.timeEnd(label);
+            fs.unlinkSync(filename);
+            callback();
+        });
+    })
+}
+
+// repeatFor adapted from minisql:
+function repeatFor(n, proc, callback) {
+    var ix = 0, ncalls = 0;
+    (function _loop(err) {
+        if (err || n-- <= 0) return callback(err);
+        (ncalls++ > 100) ? setImmediate((++n, (ncalls = 0), _loop)) : proc(_loop, (ix++));
+    })();
+}
@@ -1,6 +1,7 @@
 'use strict';
 
-if (process.argv.join(' ').indexOf('qnit ') >= 0) return;
+// run only standalone, not when loaded by the test runner
+if (require.main !== module) return;
 
 var fs = require('fs');
 var fputs = require('../');
@@ -8,17 +9,26 @@ var setImmediate = global.setImmediate || process.nextTick;
 
 var filename = '/tmp/test.out';
 
-var fp = fputs(fputs.FileWriter(filename, 'a'), { writeSize: 40960 });
 var str = new Array(200).join('x') + '\n';
 var nlines = 0;
 
-console.time('100k fputs');
-repeatFor(100000, function(cb) { fp.fputs(str); cb() }, function(err) {
-    fp.fflush(function(err) {
-        console.timeEnd('100k fputs');
-        fs.unlinkSync(filename);
-    });
-})
+timeFputs('100k fputs', {}, function() {
+    var prefix = { timestamp: 'iso', hostname: true, pid: true, seq: true };
+    timeFputs('100k fputs with prefix', { prefix: prefix }, function() {});
+});
+
+function timeFputs(label, opts, callback) {
+    opts.writeSize = 40960;
+    var fp = fputs(fputs.FileWriter(filename, 'a'), opts);
+    console.time(label);
+    repeatFor(100000, function(cb) { fp.fputs(str); cb() }, function(err) {
+        fp.fflush(function(err) {
+            console.timeEnd(label);
+            fs.unlinkSync(filename);
+            callback();
+        });
+    })
+}
 
 // repeatFor adapted from minisql:
 function repeatFor(n, proc, callback) {
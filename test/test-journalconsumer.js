@@ -0,0 +1,181 @@
+// qfputs JournalConsumer test
+// Copyright (C) 2026 Andras Radics
+// Licensed under the Apache License, Version 2.0
+
+var fs = require('fs');
+
+var Fputs = require('../');
+
+module.exports = {
+    setUp: function(cb) {
+        this.dir = "/tmp/nodeunit-" + process.pid + "-journal";
+        try { fs.mkdirSync(this.dir) } catch (e) {}
+        try { fs.mkdirSync(this.dir + "/archive") } catch (e) {}
+        this.journal = this.dir + "/journal";
+        this.batches = [];
+        var batches = this.batches;
+        this.collect = function(lines, ack) { batches.push(lines); ack() };
+        cb();
+    },
+
+    tearDown: function(cb) {
+        var dir = this.dir;
+        fs.readdirSync(dir + "/archive").forEach(function(name) { fs.unlinkSync(dir + "/archive/" + name) });
+        fs.rmdirSync(dir + "/archive");
+        fs.readdirSync(dir).forEach(function(name) { fs.unlinkSync(dir + "/" + name) });
+        fs.rmdirSync(dir);
+        cb();
+    },
+
+    'should be exported': function(t) {
+        t.equal(Fputs.JournalConsumer, require('../lib/journalconsumer'));
+        t.done();
+    },
+
+    'should require a journal and processBatch': function(t) {
+        var self = this;
+        t.throws(function() { new Fputs.JournalConsumer() }, /missing journal/);
+        t.throws(function() { new Fputs.JournalConsumer(self.journal) }, /missing processBatch/);
+        t.done();
+    },
+
+    'should return 0 if no journal': function(t) {
+        var consumer = new Fputs.JournalConsumer(this.journal, {processBatch: this.collect});
+        consumer.processOnce(function(err, nlines) {
+            t.ifError(err);
+            t.equal(nlines, 0);
+            t.done();
+        });
+    },
+
+    'should process the journal in batches and remove the grab file': function(t) {
+        var self = this;
+        var fp = new Fputs(this.journal);
+        for (var i = 1; i <= 5; i++) fp.fputs("line " + i);
+        fp.write("unterminated");
+        fp.fflush(function(err) {
+            var consumer = new Fputs.JournalConsumer(self.journal, {processBatch: self.collect, batchSize: 2, readSize: 8, waitMs: 5});
+            consumer.processOnce(function(err, nlines) {
+                t.ifError(err);
+                t.equal(nlines, 6);
+                t.deepEqual(self.batches, [["line 1", "line 2"], ["line 3", "line 4"], ["line 5", "unterminated"]]);
+                t.deepEqual(fs.readdirSync(self.dir), ['archive']);
+                t.done();
+            });
+        });
+    },
+
+    'should wait for the lock of the journal writers': function(t) {
+        var self = this;
+        fs.writeFileSync(this.journal, "line 1\n");
+        var stat = fs.statSync(this.journal);
+        var lockName = this.dir + "/.qfputs-" + stat.dev + "-" + stat.ino + ".lock";
+        fs.mkdirSync(lockName);
+        var t1 = Date.now();
+        setTimeout(function() { fs.rmdirSync(lockName) }, 50);
+        var consumer = new Fputs.JournalConsumer(this.journal, {processBatch: this.collect, waitMs: 5, lock: 'mkdir'});
+        consumer.processOnce(function(err, nlines) {
+            t.ifError(err);
+            t.ok(Date.now() >= t1 + 50);
+            t.deepEqual(self.batches, [["line 1"]]);
+            t.done();
+        });
+    },
+
+    'should process the grab file with async i/o': function(t) {
+        var self = this;
+        fs.writeFileSync(this.journal + ".grab", "line 1\nline 2\n");
+        fs.writeFileSync(this.journal + ".grab.offset", "7");
+        var syncCalls = [], saved = {};
+        ['openSync', 'readSync', 'closeSync', 'readFileSync', 'writeFileSync', 'renameSync', 'unlinkSync', 'statSync'].forEach(function(name) {
+            saved[name] = fs[name];
+            fs[name] = function() { syncCalls.push(name); return saved[name].apply(fs, arguments) };
+        });
+        var consumer = new Fputs.JournalConsumer(this.journal, {processBatch: this.collect});
+        consumer.processOnce(function(err, nlines) {
+            for (var name in saved) fs[name] = saved[name];
+            t.ifError(err);
+            t.equal(nlines, 1);
+            t.deepEqual(self.batches, [["line 2"]]);
+            t.deepEqual(syncCalls, []);
+            t.done();
+        });
+    },
+
+    'should leave the grab file and resume from the first unacked batch': function(t) {
+        var self = this;
+        fs.writeFileSync(this.journal, "line 1\nline 2\nline 3\n");
+        var calls = 0;
+        var consumer = new Fputs.JournalConsumer(this.journal, {batchSize: 1, waitMs: 5, processBatch: function(lines, ack) {
+            if (++calls === 2) return ack(new Error("process error"));
+            self.batches.push(lines);
+            ack();
+        }});
+        consumer.processOnce(function(err, nlines) {
+            t.equal(err.message, "process error");
+            t.ok(fs.existsSync(self.journal + ".grab"));
+            t.equal(fs.readFileSync(self.journal + ".grab.offset").toString(), "7");
+            fs.writeFileSync(self.journal, "line 4\n");
+            // a new consumer, eg after a restart, first finishes the leftover grab file
+            var consumer2 = new Fputs.JournalConsumer(self.journal, {processBatch: self.collect, waitMs: 5});
+            consumer2.processOnce().then(function(nlines) {
+                t.equal(nlines, 2);
+                t.deepEqual(self.batches, [["line 1"], ["line 2", "line 3"]]);
+                return consumer2.processOnce();
+            })
+            .then(function(nlines) {
+                t.equal(nlines, 1);
+                t.deepEqual(self.batches[2], ["line 4"]);
+                t.deepEqual(fs.readdirSync(self.dir), ['archive']);
+                t.done();
+            });
+        });
+    },
+
+    'should move the grab file to the archive dir': function(t) {
+        var self = this;
+        fs.writeFileSync(this.journal, "line 1\n");
+        var consumer = new Fputs.JournalConsumer(this.journal, {processBatch: this.collect, archiveDir: this.dir + "/archive", waitMs: 5});
+        consumer.processOnce(function(err, nlines) {
+            t.ifError(err);
+            var archived = fs.readdirSync(self.dir + "/archive");
+            t.equal(archived.length, 1);
+            t.ok(/^journal\.\d{8}-\d{6}\.\d{3}$/.test(archived[0]));
+            t.equal(fs.readFileSync(self.dir + "/archive/" + archived[0]).toString(), "line 1\n");
+            t.deepEqual(fs.readdirSync(self.dir), ['archive']);
+            t.done();
+        });
+    },
+
+    'should remove the offset file before the grab file': function(t) {
+        var self = this;
+        fs.writeFileSync(this.journal, "line 1\n");
+        // the archive dir does not exist, so the grab file cannot be moved there
+        var consumer = new Fputs.JournalConsumer(this.journal, {processBatch: this.collect, archiveDir: this.dir + "/nonesuch", waitMs: 5});
+        consumer.processOnce(function(err, nlines) {
+            t.equal(err.code, 'ENOENT');
+            t.ok(fs.existsSync(self.journal + ".grab"));
+            // no stale offset is left to skip the start of the next grab file
+            t.ok(!fs.existsSync(self.journal + ".grab.offset"));
+            t.done();
+        });
+    },
+
+    'start should keep processing the journal until stopped': function(t) {
+        var self = this;
+        var consumer = new Fputs.JournalConsumer(this.journal, {processBatch: this.collect, pollInterval: 5, waitMs: 5});
+        consumer.start();
+        var fp = new Fputs(this.journal);
+        fp.fputs("line 1");
+        setTimeout(function() {
+            fp.fputs("line 2");
+            setTimeout(function() {
+                consumer.stop(function() {
+                    t.deepEqual(self.batches, [["line 1"], ["line 2"]]);
+                    t.equal(consumer.running, false);
+                    t.done();
+                });
+            }, 60);
+        }, 60);
+    },
+}
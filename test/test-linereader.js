@@ -0,0 +1,222 @@
+// qfputs LineReader test
+// Copyright (C) 2026 Andras Radics
+// Licensed under the Apache License, Version 2.0
+
+var fs = require('fs');
+
+var Fputs = require('../');
+
+module.exports = {
+    setUp: function(cb) {
+        this.tempfile = "/tmp/nodeunit-" + process.pid + "-lines.tmp";
+        this.tempfile2 = "/tmp/nodeunit-" + process.pid + "-lines-2.tmp";
+        this.stateFile = "/tmp/nodeunit-" + process.pid + "-lines.state";
+        cb();
+    },
+
+    tearDown: function(cb) {
+        try { fs.unlinkSync(this.tempfile) } catch (e) {}
+        try { fs.unlinkSync(this.tempfile2) } catch (e) {}
+        try { fs.unlinkSync(this.stateFile) } catch (e) {}
+        cb();
+    },
+
+    'should be exported': function(t) {
+        t.equal(Fputs.LineReader, require('../lib/linereader'));
+        t.done();
+    },
+
+    'should require a filename': function(t) {
+        t.throws(function() { new Fputs.LineReader() }, /missing filename/);
+        t.done();
+    },
+
+    'should return the complete lines': function(t) {
+        fs.writeFileSync(this.tempfile, "line 1\nline 2\npartial");
+        var reader = new Fputs.LineReader(this.tempfile);
+        reader.getLines(function(err, lines) {
+            t.ifError(err);
+            t.deepEqual(lines, ["line 1", "line 2"]);
+            t.equal(reader.offset, 14);
+            reader.close();
+            t.done();
+        });
+    },
+
+    'should wait for more lines': function(t) {
+        var self = this;
+        fs.writeFileSync(this.tempfile, "line 1\n");
+        var reader = new Fputs.LineReader(this.tempfile, {pollInterval: 5});
+        reader.getLines(function(err, lines) {
+            t.deepEqual(lines, ["line 1"]);
+            reader.getLines(function(err, lines) {
+                t.ifError(err);
+                t.deepEqual(lines, ["line 2"]);
+                reader.close();
+                t.done();
+            });
+            setTimeout(function() { fs.appendFileSync(self.tempfile, "line 2\n") }, 20);
+        });
+    },
+
+    'should wait for the file to be created': function(t) {
+        var self = this;
+        var reader = new Fputs.LineReader(this.tempfile, {pollInterval: 5});
+        reader.getLines().then(function(lines) {
+            t.deepEqual(lines, ["line 1"]);
+            reader.close();
+            t.done();
+        });
+        setTimeout(function() { fs.writeFileSync(self.tempfile, "line 1\n") }, 20);
+    },
+
+    'should read lines longer than readSize': function(t) {
+        var line = new Array(100).join("x");
+        fs.writeFileSync(this.tempfile, line + "\nline 2\n");
+        var reader = new Fputs.LineReader(this.tempfile, {readSize: 10});
+        reader.getLines(function(err, lines) {
+            t.deepEqual(lines, [line, "line 2"]);
+            reader.close();
+            t.done();
+        });
+    },
+
+    'should follow the file when renamed and recreated': function(t) {
+        var self = this;
+        var fp = new Fputs(this.tempfile);
+        var reader = new Fputs.LineReader(this.tempfile, {pollInterval: 5, settleTime: 20});
+        fp.fputs("line 1");
+        fp.fflush(function(err) {
+            reader.getLines(function(err, lines) {
+                t.deepEqual(lines, ["line 1"]);
+                fs.renameSync(self.tempfile, self.tempfile2);
+                // lines still written to the renamed file, then to a new file
+                fs.appendFileSync(self.tempfile2, "line 2\npartial 3");
+                fs.writeFileSync(self.tempfile, "line 4\n");
+                var all = [];
+                (function readLoop() {
+                    reader.getLines(function(err, lines) {
+                        all = all.concat(lines);
+                        if (all.length < 3) return readLoop();
+                        t.deepEqual(all, ["line 2", "partial 3", "line 4"]);
+                        reader.close();
+                        t.done();
+                    });
+                })();
+            });
+        });
+    },
+
+    'should start over if the file was truncated': function(t) {
+        var self = this;
+        fs.writeFileSync(this.tempfile, "line 1\nline 2\n");
+        var reader = new Fputs.LineReader(this.tempfile, {pollInterval: 5});
+        reader.getLines(function(err, lines) {
+            fs.writeFileSync(self.tempfile, "new\n");
+            reader.getLines(function(err, lines) {
+                t.deepEqual(lines, ["new"]);
+                reader.close();
+                t.done();
+            });
+        });
+    },
+
+    'should resume from the checkpointed offset': function(t) {
+        var self = this;
+        fs.writeFileSync(this.tempfile, "line 1\nline 2\n");
+        var reader = new Fputs.LineReader(this.tempfile, {stateFile: this.stateFile});
+        reader.getLines(function(err, lines) {
+            t.deepEqual(lines, ["line 1", "line 2"]);
+            reader.checkpoint(function(err) {
+                t.ifError(err);
+                reader.close();
+                t.deepEqual(JSON.parse(fs.readFileSync(self.stateFile)).offset, 14);
+                fs.appendFileSync(self.tempfile, "line 3\n");
+                var reader2 = new Fputs.LineReader(self.tempfile, {stateFile: self.stateFile});
+                reader2.getLines(function(err, lines) {
+                    t.deepEqual(lines, ["line 3"]);
+                    reader2.close();
+                    t.done();
+                });
+            });
+        });
+    },
+
+    'should not resume a checkpoint of another file': function(t) {
+        var self = this;
+        fs.writeFileSync(this.tempfile, "line 1\n");
+        fs.writeFileSync(this.stateFile, JSON.stringify({filename: this.tempfile, ino: -1, dev: -1, offset: 7}));
+        var gaps = [];
+        var reader = new Fputs.LineReader(this.tempfile, {stateFile: this.stateFile, onGap: function(state) { gaps.push(state) }});
+        reader.getLines(function(err, lines) {
+            t.deepEqual(lines, ["line 1"]);
+            // the unread rest of the checkpointed file is reported
+            t.deepEqual(gaps, [{filename: self.tempfile, ino: -1, dev: -1, offset: 7}]);
+            reader.close();
+            t.done();
+        });
+    },
+
+    'autoCheckpoint should checkpoint the previous lines on the next call': function(t) {
+        var self = this;
+        fs.writeFileSync(this.tempfile, "line 1\n");
+        var reader = new Fputs.LineReader(this.tempfile, {stateFile: this.stateFile, autoCheckpoint: true, pollInterval: 5});
+        reader.getLines(function(err, lines) {
+            t.ok(!fs.existsSync(self.stateFile));
+            fs.appendFileSync(self.tempfile, "line 2\n");
+            reader.getLines(function(err, lines) {
+                t.deepEqual(lines, ["line 2"]);
+                t.equal(JSON.parse(fs.readFileSync(self.stateFile)).offset, 7);
+                reader.close();
+                t.done();
+            });
+        });
+    },
+
+    'close should end a pending getLines': function(t) {
+        fs.writeFileSync(this.tempfile, "");
+        var reader = new Fputs.LineReader(this.tempfile, {pollInterval: 5});
+        reader.getLines(function(err, lines) {
+            t.deepEqual(lines, []);
+            t.done();
+        });
+        setTimeout(function() { reader.close() }, 10);
+    },
+
+    'close should end a getLines that is reading': function(t) {
+        fs.writeFileSync(this.tempfile, "line 1\n");
+        var reader = new Fputs.LineReader(this.tempfile);
+        var returned = false;
+        reader.getLines(function(err, lines) {
+            t.ifError(err);
+            t.ok(returned, "reads asynchronously");
+            t.deepEqual(lines, []);
+            t.equal(reader.fd, undefined);
+            t.done();
+        });
+        returned = true;
+        reader.close();
+    },
+
+    'should be an async iterator': function(t) {
+        if (typeof Symbol.asyncIterator !== 'symbol') t.skip();
+        fs.writeFileSync(this.tempfile, "line 1\nline 2\n");
+        var reader = new Fputs.LineReader(this.tempfile, {pollInterval: 5});
+        var iter = reader[Symbol.asyncIterator]();
+        var lines = [];
+        iter.next().then(function(ret) {
+            lines.push(ret.value);
+            return iter.next();
+        })
+        .then(function(ret) {
+            lines.push(ret.value);
+            setTimeout(function() { reader.close() }, 10);
+            return iter.next();
+        })
+        .then(function(ret) {
+            t.deepEqual(lines, ["line 1", "line 2"]);
+            t.equal(ret.done, true);
+            t.done();
+        });
+    },
+}
@@ -176,12 +176,12 @@ module.exports = {
     },
 
     'getUnwrittenLength': {
-        'should return unwritten chars for strings': function(t) {
+        'should return unwritten bytes for strings': function(t) {
             var self = this;
             this.fp.write("test\x81\n");
-            t.equal(this.fp.getUnwrittenLength(), 6);
+            t.equal(this.fp.getUnwrittenLength(), 7);
             this.fp.write("test\x82\n");
-            t.equal(this.fp.getUnwrittenLength(), 12);
+            t.equal(this.fp.getUnwrittenLength(), 14);
             this.fp.fflush(function(err) {
                 t.equal(self.fp.getUnwrittenLength(), 0);
                 t.done();
@@ -198,6 +198,149 @@ module.exports = {
         },
     },
 
+    'encoding': {
+        'should reject an unknown encoding': function(t) {
+            var self = this;
+            t.throws(function() { new Fputs(self.writer, {encoding: 'ebcdic'}) }, /unknown encoding/);
+            t.throws(function() { new Fputs.FileWriter(self.tempfile, {encoding: 'ebcdic'}) }, /unknown encoding/);
+            t.equal(new Fputs(this.tempfile, {encoding: 'latin1'}).writable.encoding, 'latin1');
+            t.done();
+        },
+
+        'should count multibyte strings in bytes': function(t) {
+            var fp = new Fputs(this.writer, {writesize: 10, highWaterMark: 10});
+            fp.write("\u20ac\u20ac\n", function(err, nbytes) {
+                t.equal(nbytes, 7);
+            });
+            t.equal(fp.getUnwrittenLength(), 7);
+            t.strictEqual(fp.write("\u20ac\u20ac\n"), false);
+            fp.write(fromBuf("abc\n"));
+            t.deepEqual(fp.datachunks.map(function(chunk) { return chunk.length }), [7, 11]);
+            t.equal(fp.getStats().bytesAccepted, 18);
+            t.done();
+        },
+
+        'should write the strings in the encoding': function(t) {
+            var self = this;
+            var encodings = { latin1: "caf\xe9\n", utf16le: "\u20ac\n", base64: "aGVsbG8K" };
+            var expect = { latin1: [0x63, 0x61, 0x66, 0xe9, 0x0a], utf16le: [0xac, 0x20, 0x0a, 0x00], base64: fromBuf("hello\n") };
+            var names = Object.keys(encodings);
+            (function loop() {
+                if (!names.length) return t.done();
+                var encoding = names.shift();
+                try { fs.unlinkSync(self.tempfile) } catch (e) {}
+                var fp = new Fputs(self.tempfile, {encoding: encoding});
+                fp.write(encodings[encoding], function(err, nbytes) {
+                    t.equal(nbytes, expect[encoding].length);
+                });
+                fp.close(function(err) {
+                    t.ifError(err);
+                    t.deepEqual(fs.readFileSync(self.tempfile), fromBuf(expect[encoding]));
+                    loop();
+                });
+            })();
+        },
+
+        'should not merge base64 strings as text': function(t) {
+            var self = this;
+            var fp = new Fputs(this.tempfile, {encoding: 'base64'});
+            fp.write("YQ==");
+            fp.write("Yg==");
+            t.equal(fp.getUnwrittenLength(), 2);
+            fp.close(function(err) {
+                t.ifError(err);
+                t.deepEqual(fs.readFileSync(self.tempfile), fromBuf("ab"));
+                t.done();
+            });
+        },
+
+        'should convert strings to bytes for a writable in another encoding': function(t) {
+            var self = this;
+            var fp = new Fputs(this.writer, {encoding: 'latin1'});
+            var written = [];
+            this.writer.write = function(data, cb) { written.push(data); cb() };
+            fp.write("caf\xe9\n");
+            fp.fflush(function(err) {
+                t.ok(Buffer.isBuffer(written[0]));
+                t.deepEqual(written[0], fromBuf([0x63, 0x61, 0x66, 0xe9, 0x0a]));
+                t.done();
+            });
+        },
+
+        'should checksum the bytes written': function(t) {
+            var self = this;
+            var fp = new Fputs(this.tempfile, {encoding: 'latin1', integrity: 'line'});
+            fp.write("caf\xe9\n");
+            fp.close(function(err) {
+                Fputs.integrity.verifyFile(self.tempfile, function(err, report) {
+                    t.ifError(err);
+                    t.equal(report.records, 1);
+                    t.deepEqual(report.corrupt, []);
+                    t.done();
+                });
+            });
+        },
+
+        'FileWriter should reuse the write buffer only for strings that fit': function(t) {
+            var self = this;
+            var fw = new Fputs.FileWriter(this.tempfile, {writesize: 8, encoding: 'utf16le', lock: 'append'});
+            t.equal(fw._writebuf.length, 8);
+            // the second write is made while the first still uses the write buffer
+            fw.write("ab\n", function(err) {
+                t.ifError(err);
+            });
+            fw.write("cd\n", function(err) {
+                fw.write("long line\n", function(err) {
+                    t.ifError(err);
+                    t.equal(fs.readFileSync(self.tempfile).toString('utf16le'), "ab\ncd\nlong line\n");
+                    t.equal(fw._writebufBusy, false);
+                    fw.close();
+                    t.done();
+                });
+            });
+        },
+    },
+
+    'fflush should wait for data written before it only': function(t) {
+        var writer = this.writer, calls = [];
+        var writes = [];
+        writer.write = function(str, cb) { writes.push(cb); writer.written.push("" + str) };
+        var fp = new Fputs(writer, {writesize: 10});
+        fp.write("line one\n");
+        fp.fflush(function(err) { calls.push(1) });
+        fp.write("line two\n");
+        fp.fflush(function(err) { calls.push(2) });
+        t.equal(fp._waiters.length, 2);
+        setTimeout(function() {
+            t.equal(writes.length, 1);
+            writes.shift()();
+            t.deepEqual(calls, [1]);
+            setTimeout(function() {
+                writes.shift()();
+                t.deepEqual(calls, [1, 2]);
+                t.equal(fp._waiters.length, 0);
+                t.done();
+            }, 5);
+        }, 5);
+    },
+
+    'fflush should return after abort': function(t) {
+        var self = this;
+        this.fp.fputs("test 1");
+        this.fp.fflush(function(err) {
+            t.ifError(err);
+            self.fp.fputs("test 2");
+            self.fp.abort(function(err) {
+                t.ifError(err);
+                t.equal(self.fp.getUnwrittenLength(), 0);
+                self.fp.fflush(function(err) {
+                    t.equal(self.writer.getContents(), "test 1\n");
+                    t.done();
+                });
+            });
+        });
+    },
+
     'drain should write pending data': function(t) {
         this.fp.fputs("test 1\n");
         var self = this;
@@ -205,41 +348,1264 @@ module.exports = {
             t.ifError(err);
             t.equal(self.writer.getContents(), "test 1\n");
             t.done();
-        });
+        });
+    },
+
+    'drain should wait for only the excess data to be written': function(t) {
+        var writer = this.writer, writes = [];
+        writer.write = function(str, cb) { writes.push(cb); writer.written.push("" + str) };
+        var fp = new Fputs(writer, {writesize: 10});
+        fp.write("line 1\n");
+        fp.write("line 2\n");
+        fp.write("line 3\n");
+        var drained = false;
+        fp.drain(7, function(err) { drained = true });
+        setTimeout(function() {
+            writes.shift()();
+            t.equal(drained, false);
+            setTimeout(function() {
+                writes.shift()();
+                t.equal(drained, true);
+                t.equal(fp.getUnwrittenLength(), 7);
+                t.done();
+            }, 5);
+        }, 5);
+    },
+
+    'drain should return write errors': function(t) {
+        writer = new Fputs.FileWriter("/nonesuch", "a");
+        fp = new Fputs(writer);
+        fp.write("data");
+        fp.drain(0, function(err) {
+            t.ok(err instanceof Error);
+            t.done();
+        });
+    },
+
+    'constructor should accept a filename': function(t) {
+        var fp = new Fputs(this.tempfile);
+        fp.fputs("test");
+        var self = this;
+        fp.fflush(function(err) {
+            t.ifError(err);
+            t.equals(fs.readFileSync(self.tempfile), "test\n");
+            t.done();
+        });
+    },
+
+    'constructor should accept a writable object': function(t) {
+        t.expect(1);
+        var self = this;
+        writer = fs.createWriteStream(this.tempfile, {flags: "a"});
+        var fp = new Fputs(writer);
+        fp.write("data");
+        fp.fflush(function() {
+            var contents = "" + fs.readFileSync(self.tempfile);
+            t.equals(contents, "data");
+            t.done();
+        });
+    },
+
+    'promises': {
+        'fflush should return a promise': function(t) {
+            var self = this;
+            this.fp.fputs("test 1");
+            var p = this.fp.fflush();
+            t.ok(p instanceof Promise);
+            p.then(function(ret) {
+                t.equal(self.writer.getContents(), "test 1\n");
+                t.done();
+            });
+        },
+
+        'fflush promise should reject with the write error': function(t) {
+            var fp = new Fputs(new Fputs.FileWriter("/nonesuch", "a"));
+            fp.write("data");
+            fp.fflush().then(
+                function() { t.fail("expected an error") },
+                function(err) { t.ok(err instanceof Error); t.done() }
+            );
+        },
+
+        'drain should return a promise': function(t) {
+            var self = this;
+            this.fp.fputs("test 1");
+            this.fp.drain(0).then(function() {
+                t.equal(self.writer.getContents(), "test 1\n");
+                return self.fp.drain();
+            })
+            .then(function() {
+                t.done();
+            });
+        },
+
+        'abort should return a promise': function(t) {
+            var self = this;
+            this.fp.fputs("test 1");
+            this.fp.abort().then(function() {
+                t.equal(self.writer.getContents(), "");
+                t.done();
+            });
+        },
+
+        'close should flush and close the file': function(t) {
+            var self = this;
+            var fp = new Fputs(this.tempfile);
+            fp.fputs("test 1");
+            fp.close().then(function() {
+                t.strictEqual(fp.writable.fd, undefined);
+                t.equal(String(fs.readFileSync(self.tempfile)), "test 1\n");
+                t.done();
+            });
+        },
+
+        'asyncDispose should close': function(t) {
+            if (typeof Symbol.asyncDispose !== 'symbol') t.skip();
+            var fp = new Fputs(this.tempfile);
+            fp.fputs("test 1");
+            fp[Symbol.asyncDispose]().then(function() {
+                t.strictEqual(fp.writable.fd, undefined);
+                t.done();
+            });
+        },
+
+        'FileWriter.write should return a promise': function(t) {
+            var self = this;
+            this.fileWriter.write("test123").then(function(nbytes) {
+                t.equal(nbytes, 7);
+                t.equal(String(fs.readFileSync(self.tempfile)), "test123");
+                t.done();
+            });
+        },
+
+        'renameFile should return a promise': function(t) {
+            var self = this;
+            fs.writeFileSync(this.tempfile, "test");
+            Fputs.renameFile(this.tempfile, this.tempfile2, 5).then(function() {
+                t.equal(String(fs.readFileSync(self.tempfile2)), "test");
+                return Fputs.renameFile(self.tempfile, self.tempfile2);
+            })
+            .catch(function(err) {
+                t.equal(err.code, 'ENOENT');
+                t.done();
+            });
+        },
+    },
+
+    'stream': {
+        'toStream should return a Writable': function(t) {
+            var stream = require('stream');
+            var ws = this.fp.toStream();
+            t.ok(ws instanceof stream.Writable);
+            t.equal(ws.fputs, this.fp);
+            t.done();
+        },
+
+        'should be a pipe target and flush on end': function(t) {
+            var stream = require('stream');
+            var self = this;
+            var rs = stream.Readable.from(["line 1\n", "line 2\n", fromBuf("line 3\n")], {objectMode: false});
+            var ws = Fputs.createWriteStream(this.tempfile);
+            rs.pipe(ws);
+            ws.on('finish', function() {
+                t.equal(String(fs.readFileSync(self.tempfile)), "line 1\nline 2\nline 3\n");
+                t.done();
+            });
+        },
+
+        'should apply backpressure at the highWaterMark': function(t) {
+            var writes = [];
+            var writer = { write: function(str, cb) { writes.push(cb) } };
+            var ws = new Fputs(writer, {highWaterMark: 10}).toStream({highWaterMark: 10});
+            ws.write("line 1\n");
+            var ok = ws.write("line 2 is longer\n");
+            t.equal(ok, false);
+            var drained = false;
+            ws.on('drain', function() { drained = true });
+            setTimeout(function() {
+                t.equal(drained, false);
+                writes.shift()();
+                setTimeout(function() {
+                    t.equal(drained, true);
+                    t.done();
+                }, 5);
+            }, 5);
+        },
+
+        'should work with pipeline': function(t) {
+            var stream = require('stream');
+            var self = this;
+            var rs = stream.Readable.from(["line 1\n", "line 2\n"]);
+            stream.pipeline(rs, Fputs.createWriteStream(this.tempfile), function(err) {
+                t.ifError(err);
+                t.equal(String(fs.readFileSync(self.tempfile)), "line 1\nline 2\n");
+                t.done();
+            });
+        },
+
+        'should emit write errors': function(t) {
+            var ws = Fputs.createWriteStream("/nonesuch");
+            ws.on('error', function(err) {
+                t.ok(err instanceof Error);
+                t.done();
+            });
+            ws.write("data\n");
+        },
+    },
+
+    'maxBuffered': {
+        setUp: function(cb) {
+            var writes = this.writes = [];
+            var writer = this.stallingWriter = {
+                written: [],
+                write: function(str, cb) { writer.written.push("" + str); writes.push(cb) },
+            };
+            this.spillFile = "/tmp/nodeunit-" + process.pid + ".spill";
+            cb();
+        },
+
+        'should reject an unknown overflow policy': function(t) {
+            var writer = this.writer;
+            t.throws(function() { new Fputs(writer, {overflow: 'block'}) }, /invalid overflow/);
+            t.done();
+        },
+
+        'should not limit by default': function(t) {
+            for (var i = 0; i < 1000; i++) this.fp.write("line of 20 chars...\n");
+            t.equal(this.fp.getUnwrittenLength(), 20000);
+            t.done();
+        },
+
+        'error policy should reject writes that do not fit': function(t) {
+            var fp = new Fputs(this.stallingWriter, {maxBuffered: 20});
+            t.equal(fp.write("line 1\n"), true);
+            fp.write("line 2 is longer\n", function(err) {
+                t.equal(err.code, 'ENOBUFS');
+                fp.write("line 3\n");
+                fp.write("line 4\n");
+                t.equal(fp.getUnwrittenLength(), 14);
+                t.deepEqual(fp.getOverflowCounts(), {rejectedBytes: 24, droppedBytes: 0, spilledBytes: 0});
+                t.equal(fp.returnError().code, 'ENOBUFS');
+                t.done();
+            });
+        },
+
+        'dropNewest policy should discard writes that do not fit': function(t) {
+            var self = this;
+            var fp = new Fputs(this.stallingWriter, {maxBuffered: 20, overflow: 'dropNewest'});
+            fp.write("line 1\n");
+            fp.write("line 2\n");
+            fp.write("line 3\n");
+            t.equal(fp.getUnwrittenLength(), 14);
+            t.equal(fp.getOverflowCounts().droppedBytes, 7);
+            t.ok(!fp.returnError());
+            fp.fflush(function(err) {
+                t.equal(self.stallingWriter.written.join(''), "line 1\nline 2\n");
+                t.done();
+            });
+            setTimeout(function() { self.writes.shift()() }, 5);
+        },
+
+        'dropOldest policy should discard the oldest chunks': function(t) {
+            var written = [];
+            var writer = {
+                write: function(str, cb) {
+                    written.push("" + str);
+                    if (written.length === 1) process.nextTick(function() { writeMore(cb) });
+                    else process.nextTick(cb);
+                },
+            };
+            var fp = new Fputs(writer, {maxBuffered: 21, writesize: 7, overflow: 'dropOldest'});
+            fp.write("line 1\n");
+            function writeMore(writeDone) {
+                // line 1 is being written, line 2 is the oldest buffered
+                fp.write("line 2\n");
+                fp.write("line 3\n");
+                fp.write("line 4\n");
+                t.equal(fp.getUnwrittenLength(), 21);
+                fp.fflush(function(err) {
+                    t.equal(written.join(''), "line 1\nline 3\nline 4\n");
+                    t.equal(fp.getOverflowCounts().droppedBytes, 7);
+                    t.equal(fp.getUnwrittenLength(), 0);
+                    t.done();
+                });
+                writeDone();
+            }
+        },
+
+        'spill policy should write excess data to the spill file and replay it in order': function(t) {
+            var self = this;
+            var fp = new Fputs(this.stallingWriter, {maxBuffered: 20, writesize: 14, overflow: 'spill', spillFile: this.spillFile});
+            fp.write("line 1\n");
+            fp.write("line 2\n");
+            fp.write("line 3\n");
+            fp.write(fromBuf("line 4\n"));
+            t.ok(fs.existsSync(self.spillFile));
+            t.equal(fp.getUnwrittenLength(), 28);
+            t.equal(fp.getOverflowCounts().spilledBytes, 14);
+            fp.write("line 5\n");
+            fp.fflush(function(err) {
+                t.ifError(err);
+                t.equal(self.stallingWriter.written.join(''), "line 1\nline 2\nline 3\nline 4\nline 5\n");
+                t.deepEqual(self.stallingWriter.written, ["line 1\nline 2\n", "line 3\nline 4\n", "line 5\n"]);
+                t.ok(!fs.existsSync(self.spillFile));
+                t.equal(fp.getOverflowCounts().spilledBytes, 21);
+                t.done();
+            });
+            (function writeAll() {
+                if (self.writes.length) self.writes.shift()();
+                if (fp._syncing) setTimeout(writeAll, 2);
+            })();
+        },
+
+        'abort should discard spilled data': function(t) {
+            var self = this;
+            var fp = new Fputs(this.stallingWriter, {maxBuffered: 10, overflow: 'spill', spillFile: this.spillFile});
+            fp.write("line 1\n");
+            fp.write("line 2\n");
+            setTimeout(function() {
+                fp.abort(function(err) {
+                    t.ifError(err);
+                    t.equal(fp.getUnwrittenLength(), 0);
+                    t.ok(!fs.existsSync(self.spillFile));
+                    t.equal(self.stallingWriter.written.join(''), "line 1\n");
+                    t.done();
+                });
+                self.writes.shift()();
+            }, 5);
+        },
+    },
+
+    'retry': {
+        setUp: function(cb) {
+            var errors = this.errors = [];
+            var writer = this.failingWriter = {
+                written: [],
+                write: function(str, cb) {
+                    var err = errors.shift();
+                    if (err) return cb(err);
+                    writer.written.push("" + str);
+                    cb();
+                },
+            };
+            this.makeError = function(code) { var err = new Error(code + " error"); err.code = code; return err };
+            cb();
+        },
+
+        'should not retry by default': function(t) {
+            var self = this;
+            this.errors.push(this.makeError('EAGAIN'));
+            var fp = new Fputs(this.failingWriter);
+            fp.fputs("line 1");
+            fp.fflush(function(err) {
+                t.equal(err.code, 'EAGAIN');
+                t.equal(self.failingWriter.written.length, 0);
+                t.done();
+            });
+        },
+
+        'should retry a retryable error with backoff': function(t) {
+            var self = this;
+            this.errors.push(this.makeError('EAGAIN'), this.makeError('ENOSPC'));
+            var fp = new Fputs(this.failingWriter, {retry: {attempts: 3, delay: 10}});
+            fp.fputs("line 1");
+            var t1 = Date.now();
+            fp.fflush(function(err) {
+                t.ifError(err);
+                t.ok(Date.now() - t1 >= 30 - 1);
+                t.deepEqual(self.failingWriter.written, ["line 1\n"]);
+                t.equal(fp.getUnwrittenLength(), 0);
+                t.done();
+            });
+        },
+
+        'should keep the data in order': function(t) {
+            var self = this;
+            this.errors.push(this.makeError('EAGAIN'));
+            var fp = new Fputs(this.failingWriter, {writesize: 7, retry: {attempts: 1, delay: 5}});
+            fp.fputs("line 1");
+            fp.fputs("line 2");
+            fp.fflush(function(err) {
+                t.ifError(err);
+                t.deepEqual(self.failingWriter.written, ["line 1\n", "line 2\n"]);
+                t.done();
+            });
+        },
+
+        'should report the error once out of attempts': function(t) {
+            var self = this;
+            this.errors.push(this.makeError('EAGAIN'), this.makeError('EAGAIN'), this.makeError('EAGAIN'));
+            var fp = new Fputs(this.failingWriter, {retry: {attempts: 2, delay: 1}});
+            fp.fputs("line 1");
+            fp.fputs("line 2");
+            fp.fflush(function(err) {
+                t.equal(err.code, 'EAGAIN');
+                t.equal(self.failingWriter.written.length, 0);
+                fp.fputs("line 3");
+                fp.fflush(function(err) {
+                    t.ifError(err);
+                    t.deepEqual(self.failingWriter.written, ["line 3\n"]);
+                    t.done();
+                });
+            });
+        },
+
+        'should not retry other errors': function(t) {
+            this.errors.push(this.makeError('EBADF'));
+            var fp = new Fputs(this.failingWriter, {retry: {attempts: 2, delay: 1}});
+            fp.fputs("line 1");
+            fp.fflush(function(err) {
+                t.equal(err.code, 'EBADF');
+                t.done();
+            });
+        },
+    },
+
+    'Tee': {
+        setUp: function(cb) {
+            this.makeWriter = function(error) {
+                var writer = {
+                    written: [], writes: [],
+                    write: function(str, cb) {
+                        if (error) return cb(error);
+                        writer.written.push("" + str);
+                        writer.writes.push(cb);
+                        if (!writer.stalled) writer.writes.shift()();
+                    },
+                };
+                return writer;
+            };
+            cb();
+        },
+
+        'should require writables': function(t) {
+            t.throws(function() { new Fputs.Tee([]) }, /missing writables/);
+            t.done();
+        },
+
+        'should write to every target': function(t) {
+            var self = this;
+            var w1 = this.makeWriter(), w2 = this.makeWriter();
+            var fp = new Fputs(new Fputs.Tee([w1, w2, this.tempfile]));
+            fp.fputs("line 1");
+            fp.write(fromBuf("line 2\n"));
+            fp.fflush(function(err) {
+                t.ifError(err);
+                t.equal(w1.written.join(''), "line 1\nline 2\n");
+                t.equal(w2.written.join(''), "line 1\nline 2\n");
+                t.equal(String(fs.readFileSync(self.tempfile)), "line 1\nline 2\n");
+                t.done();
+            });
+        },
+
+        'should block on a slow target by default': function(t) {
+            var w1 = this.makeWriter(), w2 = this.makeWriter();
+            w2.stalled = true;
+            var fp = new Fputs(new Fputs.Tee([w1, w2]), {writesize: 7});
+            fp.fputs("line 1");
+            fp.fputs("line 2");
+            setTimeout(function() {
+                t.deepEqual(w1.written, ["line 1\n"]);
+                w2.writes.shift()();
+                setTimeout(function() {
+                    t.deepEqual(w1.written, ["line 1\n", "line 2\n"]);
+                    t.done();
+                }, 5);
+            }, 5);
+        },
+
+        'should not block on a slow target if isolated': function(t) {
+            var w1 = this.makeWriter(), w2 = this.makeWriter();
+            w2.stalled = true;
+            var fp = new Fputs(new Fputs.Tee([w1, w2], {isolate: true, writesize: 7}), {writesize: 7});
+            fp.fputs("line 1");
+            fp.fputs("line 2");
+            var flushed = false;
+            fp.fflush(function(err) { flushed = true });
+            setTimeout(function() {
+                t.deepEqual(w1.written, ["line 1\n", "line 2\n"]);
+                t.deepEqual(w2.written, ["line 1\n"]);
+                t.equal(flushed, false, "fflush should wait for the slow target");
+                w2.stalled = false;
+                w2.writes.shift()();
+                setTimeout(function() {
+                    t.deepEqual(w2.written, ["line 1\n", "line 2\n"]);
+                    t.equal(flushed, true);
+                    t.done();
+                }, 10);
+            }, 10);
+        },
+
+        'should report each target error to setOnError': function(t) {
+            var w1 = this.makeWriter(new Error("error 1")), w2 = this.makeWriter(), w3 = this.makeWriter(new Error("error 3"));
+            var errors = [];
+            var fp = new Fputs(new Fputs.Tee([w1, w2, w3]));
+            fp.setOnError(function(err) { errors.push(err) });
+            fp.fputs("line 1");
+            fp.fflush(function(err) {
+                t.ifError(err);
+                t.equal(errors.length, 2);
+                t.equal(errors[0].message, "error 1");
+                t.equal(errors[0].teeIndex, 0);
+                t.equal(errors[1].teeIndex, 2);
+                t.equal(w2.written.join(''), "line 1\n");
+                t.done();
+            });
+        },
+
+        'should report isolated target errors': function(t) {
+            var w1 = this.makeWriter(new Error("error 1")), w2 = this.makeWriter();
+            var fp = new Fputs(new Fputs.Tee([w1, w2], {isolate: true}));
+            fp.fputs("line 1");
+            fp.fflush(function(err) {
+                t.equal(err.message, "error 1");
+                t.equal(err.teeIndex, 0);
+                t.equal(w2.written.join(''), "line 1\n");
+                t.done();
+            });
+        },
+    },
+
+    'prefix': {
+        'should reject invalid prefix options': function(t) {
+            var self = this;
+            t.throws(function() { new Fputs(self.writer, {prefix: 'iso'}) }, /invalid prefix options/);
+            t.throws(function() { new Fputs(self.writer, {prefix: {timestamp: 'rfc822'}}) }, /invalid prefix timestamp/);
+            t.done();
+        },
+
+        'should prefix each line with the fields': function(t) {
+            var self = this;
+            var fp = new Fputs(this.writer, {prefix: {hostname: true, pid: true, tag: 'app', seq: true}});
+            fp.fputs("line 1");
+            fp.fputs("line 2\n");
+            fp.write("not prefixed\n");
+            fp.fflush(function(err) {
+                var head = require('os').hostname() + ' ' + process.pid + ' app ';
+                t.equal(self.writer.getContents(), head + "1 line 1\n" + head + "2 line 2\nnot prefixed\n");
+                t.done();
+            });
+        },
+
+        'should format the timestamp': function(t) {
+            var now = Date.now();
+            var iso = Fputs.linePrefix.create({timestamp: 'iso'})("x\n");
+            t.ok(/^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\.\d{3}Z x\n$/.test(iso));
+            t.ok(new Date(iso.slice(0, 24)).getTime() >= now);
+            var epoch = Fputs.linePrefix.create({timestamp: 'epoch', separator: '|'})("x\n");
+            t.ok(/^\d{13}\|x\n$/.test(epoch));
+            t.ok(parseInt(epoch) >= now);
+            var date = new Date(2026, 0, 2, 3, 4, 5, 6);
+            t.equal(Fputs.linePrefix.formatTime('%Y-%m-%d %H:%M:%S.%L %%', date), "2026-01-02 03:04:05.006 %");
+            t.done();
+        },
+
+        'should reuse the timestamp within the same millisecond': function(t) {
+            var decorate = Fputs.linePrefix.create({timestamp: '%S.%L', seq: true});
+            var realNow = Date.now, now = realNow(), calls = 0;
+            var realGetMilliseconds = Date.prototype.getMilliseconds;
+            Date.now = function() { return now };
+            Date.prototype.getMilliseconds = function() { calls += 1; return realGetMilliseconds.call(this) };
+            try {
+                var a = decorate("a\n"), b = decorate("b\n");
+                now += 1;
+                var c = decorate("c\n");
+            }
+            finally {
+                Date.now = realNow;
+                Date.prototype.getMilliseconds = realGetMilliseconds;
+            }
+            t.equal(calls, 2);
+            t.equal(a.slice(0, 6), b.slice(0, 6));
+            t.equal(a.slice(7), "1 a\n");
+            t.equal(c.slice(7), "3 c\n");
+            t.done();
+        },
+
+        'should mark the continuation lines of multi-line strings': function(t) {
+            var self = this;
+            var fp = new Fputs(this.writer, {prefix: {tag: '[app]', seq: true, continuation: '\t$& '}});
+            fp.fputs("error\nstack 1\nstack 2");
+            fp.fputs("done");
+            fp.fflush(function(err) {
+                t.equal(self.writer.getContents(), "[app] 1 error\n\t$& stack 1\n\t$& stack 2\n[app] 2 done\n");
+                t.done();
+            });
+        },
+
+        'should accept a decorator function': function(t) {
+            var self = this;
+            var fp = new Fputs(this.writer, {prefix: function(line) { return "> " + line }});
+            fp.fputs("line");
+            fp.fflush(function(err) {
+                t.equal(self.writer.getContents(), "> line\n");
+                t.done();
+            });
+        },
+    },
+
+    'filter': {
+        'should reject invalid filter options': function(t) {
+            var self = this;
+            t.throws(function() { new Fputs(self.writer, {filter: {rate: -1}}) }, /invalid filter rate/);
+            t.throws(function() { new Fputs(self.writer, {filter: {rate: 10, key: 'level'}}) }, /key must be a function/);
+            t.done();
+        },
+
+        'should collapse repeated lines': function(t) {
+            var self = this;
+            var fp = new Fputs(this.writer, {filter: {dedup: true}, prefix: {seq: true}});
+            fp.fputs("error");
+            fp.fputs("error\n");
+            fp.fputs("error");
+            fp.fputs("ok");
+            fp.fputs("error");
+            fp.fputs("error");
+            t.deepEqual(fp.getSuppressedCounts(), {duplicates: 3, rateLimited: 0});
+            fp.close(function(err) {
+                t.equal(self.writer.getContents(),
+                    "1 error\n2 last message repeated 2 times\n3 ok\n4 error\n5 last message repeated 1 time\n");
+                t.equal(fp.getStats().suppressed.duplicates, 3);
+                t.done();
+            });
+        },
+
+        'should report a line still repeating after the repeatInterval': function(t) {
+            var self = this;
+            var fp = new Fputs(this.writer, {filter: {dedup: true, repeatInterval: 10}});
+            fp.fputs("error");
+            fp.fputs("error");
+            fp.fputs("error");
+            setTimeout(function() {
+                fp.fputs("error");
+                fp.fflush(function(err) {
+                    t.equal(self.writer.getContents(), "error\nlast message repeated 2 times\n");
+                    fp.close(function(err) {
+                        t.equal(self.writer.getContents(), "error\nlast message repeated 2 times\nlast message repeated 1 time\n");
+                        t.done();
+                    });
+                });
+            }, 20);
+        },
+
+        'should rate limit the lines of each key': function(t) {
+            var self = this;
+            var realNow = Date.now, now = realNow();
+            Date.now = function() { return now };
+            try {
+                var fp = new Fputs(this.writer, {filter: {rate: 2, burst: 3, key: function(line) { return line.split(':')[0] }}});
+                for (var i = 1; i <= 5; i++) fp.fputs("a:" + i);
+                fp.fputs("b:1");
+                now += 1000;
+                for (var i = 6; i <= 9; i++) fp.fputs("a:" + i);
+            }
+            finally {
+                Date.now = realNow;
+            }
+            t.deepEqual(fp.getSuppressedCounts(), {duplicates: 0, rateLimited: 4});
+            fp.fflush(function(err) {
+                t.equal(self.writer.getContents(), "a:1\na:2\na:3\nb:1\na:6\na:7\n");
+                t.done();
+            });
+        },
+
+        'should forget the idle keys past maxKeys': function(t) {
+            var realNow = Date.now, now = realNow();
+            Date.now = function() { return now };
+            try {
+                var filter = new Fputs.LineFilter({rate: 1, maxKeys: 2, key: function(line) { return line }}, function(line) {});
+                filter.push("a\n");
+                filter.push("b\n");
+                now += 1000;
+                filter.push("c\n");
+                t.equal(filter._bucketCount, 1);
+                filter.push("d\n");
+                filter.push("e\n");
+                t.equal(filter._bucketCount, 2);
+                t.ok(filter._buckets[':e\n'] && filter._buckets[':d\n']);
+            }
+            finally {
+                Date.now = realNow;
+            }
+            t.done();
+        },
+    },
+
+    'putRecord': {
+        'should write json by default': function(t) {
+            var self = this;
+            this.fp.putRecord({a: 1, b: "two"});
+            this.fp.putRecord([1, 2]);
+            this.fp.fflush(function(err) {
+                t.equal(self.writer.getContents(), '{"a":1,"b":"two"}\n[1,2]\n');
+                t.done();
+            });
+        },
+
+        'json should handle circular references, BigInt and Error': function(t) {
+            var format = Fputs.formatters.json();
+            var obj = {a: 1, b: {c: 2}};
+            obj.b.self = obj;
+            obj.b.b = obj.b;
+            obj.twice = obj.b;
+            t.equal(format(obj), '{"a":1,"b":{"c":2,"self":"[Circular]","b":"[Circular]"},"twice":{"c":2,"self":"[Circular]","b":"[Circular]"}}\n');
+            if (typeof BigInt === 'function') t.equal(format({n: BigInt("12345678901234567890")}), '{"n":"12345678901234567890"}\n');
+            var err = new Error("oops");
+            err.code = 'EOOPS';
+            var rec = JSON.parse(format({err: err}));
+            t.equal(rec.err.name, "Error");
+            t.equal(rec.err.message, "oops");
+            t.equal(rec.err.code, "EOOPS");
+            t.ok(rec.err.stack.indexOf("oops") > 0);
+            var e = new Error("x");
+            e.self = e;
+            e.nested = {err: e};
+            rec = JSON.parse(format({err: e}));
+            t.equal(rec.err.message, "x");
+            t.equal(rec.err.self, "[Circular]");
+            t.equal(rec.err.nested.err, "[Circular]");
+            t.done();
+        },
+
+        'putRecord should write circular Errors': function(t) {
+            var self = this;
+            var e = new Error("x");
+            e.self = e;
+            this.fp.putRecord({err: e});
+            this.fp.fflush(function(err) {
+                t.ifError(err);
+                t.equal(JSON.parse(self.writer.getContents()).err.self, "[Circular]");
+                t.done();
+            });
+        },
+
+        'logfmt should quote values as needed': function(t) {
+            var format = Fputs.formatters.logfmt();
+            t.equal(format({a: 1, b: "two words", c: "", d: 'say "hi"', e: {x: 1}, f: null, g: undefined, "h i": true}),
+                'a=1 b="two words" c="" d="say \\"hi\\"" e="{\\"x\\":1}" f=null h_i=true\n');
+            t.equal(format({err: new Error("failed")}), 'err=failed\n');
+            t.done();
+        },
+
+        'csv should write a header and quote values as needed': function(t) {
+            var self = this;
+            var fp = new Fputs(this.writer, {format: 'csv'});
+            fp.putRecord({a: 1, b: "x,y"});
+            fp.putRecord({b: 'say "hi"', a: 2, c: 3});
+            fp.putRecord({a: "two\nlines"});
+            fp.fflush(function(err) {
+                t.equal(self.writer.getContents(), 'a,b\n1,"x,y"\n2,"say ""hi"""\n"two\nlines",\n');
+                t.done();
+            });
+        },
+
+        'csv should use the configured columns': function(t) {
+            var format = Fputs.formatters.csv({columns: ['b', 'a'], header: false, separator: '\t'});
+            t.equal(format({a: 1, b: 2, c: 3}), '2\t1\n');
+            format = Fputs.formatters.csv({columns: ['a']});
+            t.equal(format({a: 1}), 'a\n1\n');
+            format.resetHeader();
+            t.equal(format({a: 2}), 'a\n2\n');
+            t.done();
+        },
+
+        'should accept a formatter function': function(t) {
+            var self = this;
+            var fp = new Fputs(this.writer, {format: function(obj) { return obj.a + '|' + obj.b }});
+            fp.putRecord({a: 1, b: 2});
+            fp.fflush(function(err) {
+                t.equal(self.writer.getContents(), '1|2\n');
+                t.done();
+            });
+        },
+
+        'should reject an unknown format': function(t) {
+            var writer = this.writer;
+            t.throws(function() { new Fputs(writer, {format: 'xml'}) }, /unknown record format/);
+            t.done();
+        },
+    },
+
+    'framing': {
+        'should reject an unknown framing': function(t) {
+            var writer = this.writer;
+            t.throws(function() { new Fputs(writer, {framing: 'xdr'}) }, /unknown framing/);
+            t.throws(function() { new Fputs.FrameReader('xdr') }, /unknown framing/);
+            t.done();
+        },
+
+        'should reject atomic appends': function(t) {
+            var tempfile = this.tempfile;
+            t.throws(function() { new Fputs(tempfile, {framing: 'uint32', lock: 'append'}) }, /framing needs a lock/);
+            t.ok(new Fputs(tempfile, {framing: 'uint32', lock: 'none'}));
+            t.done();
+        },
+
+        'should frame each item': function(t) {
+            var written = [];
+            var writer = { write: function(buf, cb) { written.push(buf); cb() } };
+            var expect = {
+                varint: "0568690a7468",
+                uint32: "0000000568690a7468",
+                netstring: "353a68690a74682c",
+                recordio: "000000052ce3a35668690a7468",
+            };
+            var formats = Object.keys(expect), ix = 0;
+            (function loop() {
+                if (ix >= formats.length) return t.done();
+                var format = formats[ix++];
+                var fp = new Fputs(writer, {framing: format});
+                fp.write("hi\nth");
+                fp.fflush(function(err) {
+                    t.equal(written.pop().toString('hex'), expect[format], format);
+                    loop();
+                });
+            })();
+        },
+
+        'should encode long varint lengths': function(t) {
+            var reader = new Fputs.FrameReader('varint');
+            var data = fromBuf(new Array(300 + 1).join('x'));
+            var frame = require('../lib/framing').frame('varint', data);
+            t.equal(frame.slice(0, 2).toString('hex'), 'ac02');
+            t.deepEqual(reader.push(frame), [data]);
+            t.done();
+        },
+
+        'FrameReader should read the records of a file written by FileWriter': function(t) {
+            var self = this;
+            var formats = ['varint', 'uint32', 'netstring', 'recordio'], ix = 0;
+            (function loop() {
+                if (ix >= formats.length) return t.done();
+                var format = formats[ix++];
+                try { fs.unlinkSync(self.tempfile) } catch (e) {}
+                var fp = new Fputs(self.tempfile, {framing: format, writesize: 10});
+                var records = ["line 1\nwith newline", fromBuf([0, 10, 13, 255]), "", new Array(200).join("y")];
+                for (var i = 0; i < records.length; i++) fp.write(records[i]);
+                fp.putRecord({a: 1});
+                fp.fflush(function(err) {
+                    t.ifError(err);
+                    Fputs.FrameReader.readFile(self.tempfile, format, function(err, recs) {
+                        t.ifError(err);
+                        t.deepEqual(recs.map(String), records.map(String).concat('{"a":1}\n'), format);
+                        loop();
+                    });
+                });
+            })();
+        },
+
+        'FrameReader should parse frames split across pushes': function(t) {
+            var framing = require('../lib/framing');
+            var data = Buffer.concat([framing.frame('netstring', "one"), framing.frame('netstring', "two")]);
+            var reader = new Fputs.FrameReader('netstring');
+            var records = [];
+            for (var i = 0; i < data.length; i++) records = records.concat(reader.push(data.slice(i, i + 1)));
+            t.deepEqual(records.map(String), ["one", "two"]);
+            t.strictEqual(reader.end(), null);
+            t.equal(reader.offset, data.length);
+            t.done();
+        },
+
+        'FrameReader readFile should return a Promise without a callback': function(t) {
+            var self = this;
+            var framing = require('../lib/framing');
+            fs.writeFileSync(this.tempfile, Buffer.concat([framing.frame('uint32', "one"), framing.frame('uint32', "two").slice(0, 5)]));
+            Fputs.FrameReader.readFile(this.tempfile, 'uint32').then(function(records) {
+                t.fail("should reject the truncated frame");
+            }, function(err) {
+                t.equal(err.offset, 7);
+                fs.writeFileSync(self.tempfile, framing.frame('uint32', "one"));
+                return Fputs.FrameReader.readFile(self.tempfile, 'uint32');
+            }).then(function(records) {
+                t.deepEqual(records.map(String), ["one"]);
+                t.done();
+            });
+        },
+
+        'FrameReader should report corrupt and truncated frames': function(t) {
+            var framing = require('../lib/framing');
+            var data = Buffer.concat([framing.frame('recordio', "one"), framing.frame('recordio', "two")]);
+            data[data.length - 1] ^= 1;
+            var reader = new Fputs.FrameReader('recordio');
+            t.throws(function() { reader.push(data) }, /crc mismatch at offset 11/);
+            reader = new Fputs.FrameReader('netstring');
+            t.throws(function() { reader.push(fromBuf("3:abc;")) }, /missing netstring trailer/);
+            t.throws(function() { new Fputs.FrameReader('netstring').push(fromBuf("x:abc,")) }, /invalid netstring/);
+            reader = new Fputs.FrameReader('uint32');
+            t.deepEqual(reader.push(framing.frame('uint32', "one").slice(0, 5)), []);
+            t.equal(reader.end().offset, 0);
+            t.done();
+        },
+
+        'should replay spilled frames whole': function(t) {
+            var spillFile = "/tmp/nodeunit-" + process.pid + ".spill";
+            var written = [], writes = [];
+            var writer = { write: function(buf, cb) { written.push(buf); writes.push(cb) } };
+            var fp = new Fputs(writer, {framing: 'uint32', maxBuffered: 10, writesize: 16, overflow: 'spill', spillFile: spillFile});
+            var records = ["rec 1", "record 2", "record number 3 is long", "rec 4"];
+            for (var i = 0; i < records.length; i++) fp.write(records[i]);
+            fp.fflush(function(err) {
+                t.ifError(err);
+                var recs = new Fputs.FrameReader('uint32').push(Buffer.concat(written));
+                t.deepEqual(recs.map(String), records);
+                t.equal(written.length, 4);
+                t.done();
+            });
+            (function writeAll() {
+                if (writes.length) writes.shift()();
+                if (fp._syncing) setTimeout(writeAll, 2);
+            })();
+        },
+    },
+
+    'integrity': {
+        'should reject an unknown mode, and framing with integrity': function(t) {
+            var writer = this.writer;
+            t.throws(function() { new Fputs(writer, {integrity: 'md5'}) }, /unknown integrity mode/);
+            t.throws(function() { new Fputs(writer, {integrity: 'line', framing: 'uint32'}) }, /both framing and integrity/);
+            t.throws(function() { new Fputs.integrity.IntegrityChecker('md5') }, /unknown integrity mode/);
+            t.done();
+        },
+
+        'should append the checksum to each line': function(t) {
+            var crc32 = require('../lib/crc32');
+            var fp = new Fputs(this.writer, {integrity: 'line'});
+            fp.fputs("hello");
+            fp.write("a\nb");
+            fp.write(fromBuf("\u00e9t\u00e9\n"));
+            var self = this;
+            fp.fflush(function(err) {
+                t.ifError(err);
+                var crc = function(str) { return ('0000000' + crc32(fromBuf(str)).toString(16)).slice(-8) };
+                t.equal(self.writer.getContents(),
+                    "hello #" + crc("hello") + "\na #" + crc("a") + "\nb #" + crc("b") + "\n\u00e9t\u00e9 #" + crc("\u00e9t\u00e9") + "\n");
+                t.equal(crc("hello"), "3610a686");
+                t.done();
+            });
+        },
+
+        'should prepend a checksum header to each chunk': function(t) {
+            var written = [];
+            var writer = { write: function(data, cb) { written.push(String(data)); cb() } };
+            var fp = new Fputs(writer, {integrity: 'chunk'});
+            fp.fputs("line 1");
+            fp.fputs("line 2");
+            fp.fflush(function(err) {
+                t.ifError(err);
+                t.deepEqual(written, ["#crc32 14 " + require('../lib/crc32')(fromBuf("line 1\nline 2\n")).toString(16) + "\nline 1\nline 2\n"]);
+                t.equal(fp.getUnwrittenLength(), 0);
+                t.done();
+            });
+        },
+
+        'verifyFile should accept files written by FileWriter': function(t) {
+            var self = this;
+            var modes = ['line', 'chunk'], ix = 0;
+            (function loop() {
+                if (ix >= modes.length) return t.done();
+                var mode = modes[ix++];
+                try { fs.unlinkSync(self.tempfile) } catch (e) {}
+                var fp = new Fputs(self.tempfile, {integrity: mode, writesize: 20});
+                for (var i = 1; i <= 10; i++) fp.fputs("line " + i);
+                fp.fflush(function(err) {
+                    t.ifError(err);
+                    Fputs.integrity.verifyFile(self.tempfile, {mode: mode, readSize: 7}, function(err, report) {
+                        t.ifError(err);
+                        t.equal(report.records, mode === 'line' ? 10 : 5, mode);
+                        t.deepEqual(report.corrupt, []);
+                        t.equal(report.bytes, fs.statSync(self.tempfile).size);
+                        loop();
+                    });
+                });
+            })();
+        },
+
+        'repairFile should report and drop interleaved lines': function(t) {
+            var self = this;
+            var integrity = Fputs.integrity;
+            var a = integrity.checksumLines("line A1\nline A2\n");
+            var b = integrity.checksumLines("line B1\n");
+            // B1 is appended in the middle of A1
+            fs.writeFileSync(this.tempfile, a.slice(0, 5) + b + a.slice(5) + "line A3 #123");
+            integrity.repairFile(this.tempfile, this.tempfile2, function(err, report) {
+                t.ifError(err);
+                t.equal(report.records, 1);
+                t.deepEqual(report.corrupt, [
+                    { offset: 0, length: 5 + b.length + a.indexOf("\n") + 1 - 5, reason: 'checksum mismatch' },
+                    { offset: a.length + b.length, length: 12, reason: 'truncated' },
+                ]);
+                t.equal(fs.readFileSync(self.tempfile2).toString(), a.slice(a.indexOf("\n") + 1));
+                integrity.repairFile(self.tempfile, self.tempfile2, {strip: true}, function(err, report) {
+                    t.ifError(err);
+                    t.equal(fs.readFileSync(self.tempfile2).toString(), "line A2\n");
+                    t.done();
+                });
+            });
+        },
+
+        'verifyFile and repairFile should return a Promise without a callback': function(t) {
+            var self = this;
+            var integrity = Fputs.integrity;
+            fs.writeFileSync(this.tempfile, integrity.checksumLines("line 1\n") + "line 2\n");
+            integrity.verifyFile(this.tempfile).then(function(report) {
+                t.equal(report.records, 1);
+                t.equal(report.corrupt.length, 1);
+                return integrity.repairFile(self.tempfile, self.tempfile2, {strip: true});
+            }).then(function(report) {
+                t.equal(report.records, 1);
+                t.equal(fs.readFileSync(self.tempfile2).toString(), "line 1\n");
+                return integrity.verifyFile(self.tempfile + ".nonesuch", {mode: 'line'});
+            }).then(function() {
+                t.fail("should reject");
+            }, function(err) {
+                t.equal(err.code, 'ENOENT');
+                t.done();
+            });
+        },
+
+        'repairFile should resync after a torn chunk': function(t) {
+            var self = this;
+            var integrity = Fputs.integrity;
+            var chunks = [integrity.checksumChunk("one\n"), integrity.checksumChunk("two\nthree\n"), integrity.checksumChunk("four\n")];
+            var torn = chunks[1].slice(0, 20) + "xx\n" + chunks[1].slice(20);
+            fs.writeFileSync(this.tempfile, chunks[0] + torn + "junk\n" + chunks[2]);
+            integrity.repairFile(this.tempfile, this.tempfile2, {mode: 'chunk', strip: true, readSize: 5}, function(err, report) {
+                t.ifError(err);
+                t.equal(report.records, 2);
+                t.deepEqual(report.corrupt, [{ offset: chunks[0].length, length: torn.length + 5, reason: 'checksum mismatch' }]);
+                t.equal(fs.readFileSync(self.tempfile2).toString(), "one\nfour\n");
+                t.done();
+            });
+        },
+
+        'IntegrityChecker should report a torn chunk header as truncated': function(t) {
+            var checker = new Fputs.integrity.IntegrityChecker('chunk');
+            var records = checker.push(fromBuf("#crc32 99 00000000\nshort\n" + Fputs.integrity.checksumChunk("ok\n")));
+            t.deepEqual(records, []);
+            records = checker.end();
+            t.deepEqual(records.map(function(rec) { return String(rec.data) }), ["ok\n"]);
+            t.deepEqual(checker.getReport().corrupt, [{ offset: 0, length: 25, reason: 'truncated' }]);
+            t.done();
+        },
     },
 
-    'drain should return write errors': function(t) {
-        writer = new Fputs.FileWriter("/nonesuch", "a");
-        fp = new Fputs(writer);
-        fp.write("data");
-        fp.drain(0, function(err) {
-            t.ok(err instanceof Error);
-            t.done();
-        });
+    'stats': {
+        'should count the data accepted and written': function(t) {
+            var fp = this.fp;
+            fp.fputs("line 1");
+            fp.write("line 2\nline 3\n");
+            fp.write(fromBuf("line 4\n"));
+            var stats = fp.getStats();
+            t.equal(stats.bytesAccepted, 28);
+            t.equal(stats.linesAccepted, 4);
+            t.equal(stats.bufferedBytes, 28);
+            t.equal(stats.bytesWritten, 0);
+            fp.fflush(function(err) {
+                var stats = fp.getStats();
+                t.equal(stats.bytesWritten, 28);
+                t.equal(stats.writeCalls, 1);
+                t.equal(stats.avgChunkSize, 28);
+                t.equal(stats.bufferedBytes, 0);
+                t.equal(stats.peakBufferedBytes, 28);
+                t.equal(stats.errors, 0);
+                t.equal(stats.lockWaitMs, 0);
+                t.deepEqual(stats.overflow, {rejectedBytes: 0, droppedBytes: 0, spilledBytes: 0});
+                t.done();
+            });
+        },
+
+        'counters should survive the length resets': function(t) {
+            var fp = this.fp;
+            fp.fputs("line 1");
+            fp.fflush(function(err) {
+                fp.fputs("line 2");
+                t.equal(fp.resetCount, 1);
+                fp.fflush(function(err) {
+                    var stats = fp.getStats();
+                    t.equal(stats.bytesAccepted, 14);
+                    t.equal(stats.linesAccepted, 2);
+                    t.equal(stats.bytesWritten, 14);
+                    t.equal(stats.writeCalls, 2);
+                    t.equal(stats.peakBufferedBytes, 7);
+                    t.done();
+                });
+            });
+        },
+
+        'should count write errors and latency': function(t) {
+            var writer = { write: function(data, cb) { setTimeout(function() { cb(new Error("write error")) }, 10) } };
+            var fp = new Fputs(writer);
+            fp.fputs("line 1");
+            fp.fflush(function(err) {
+                t.ok(err);
+                var stats = fp.getStats();
+                t.equal(stats.errors, 1);
+                t.equal(stats.bytesWritten, 0);
+                t.ok(stats.lastWriteLatencyMs >= 9);
+                t.done();
+            });
+        },
+
+        'should include the FileWriter lock wait and reopen counts': function(t) {
+            var fp = new Fputs(this.tempfile);
+            fp.fputs("line 1");
+            fp.fflush(function(err) {
+                setTimeout(function() {
+                    fp.fputs("line 2");
+                    fp.fflush(function(err) {
+                        var stats = fp.getStats();
+                        t.equal(stats.reopenCount, 1);
+                        t.equal(typeof stats.lockWaitMs, 'number');
+                        t.deepEqual(fp.writable.getStats(), {writeCalls: 2, bytesWritten: 14, lockWaitMs: stats.lockWaitMs, reopenCount: 1});
+                        fp.close(t.done);
+                    });
+                }, fp.writable.reopenInterval + 5);
+            });
+        },
+
+        'should call onStats periodically until closed': function(t) {
+            var calls = [];
+            var fp = new Fputs(this.writer, {onStats: function(stats) { calls.push(stats) }, statsInterval: 10});
+            fp.fputs("line 1");
+            setTimeout(function() {
+                fp.close(function() {
+                    var ncalls = calls.length;
+                    t.ok(ncalls >= 2);
+                    t.equal(calls[ncalls - 1].bytesWritten, 7);
+                    setTimeout(function() {
+                        t.equal(calls.length, ncalls);
+                        t.done();
+                    }, 25);
+                });
+            }, 35);
+        },
     },
 
-    'constructor should accept a filename': function(t) {
-        var fp = new Fputs(this.tempfile);
-        fp.fputs("test");
-        var self = this;
-        fp.fflush(function(err) {
-            t.ifError(err);
-            t.equals(fs.readFileSync(self.tempfile), "test\n");
+    'fflushSync': {
+        'should write the buffered data before returning': function(t) {
+            var self = this;
+            var fp = new Fputs(this.tempfile);
+            fp.fputs("line 1");
+            fp.write(fromBuf("line 2\n"));
+            fp.fflushSync();
+            t.equal(fs.readFileSync(this.tempfile).toString(), "line 1\nline 2\n");
+            t.equal(fp.getUnwrittenLength(), 0);
+            t.equal(fp.getStats().bytesWritten, 14);
+            fp.fflush(function(err) {
+                t.ifError(err);
+                t.equal(fs.readFileSync(self.tempfile).toString(), "line 1\nline 2\n");
+                fp.close(t.done);
+            });
+        },
+
+        'should write spilled data': function(t) {
+            var spillFile = "/tmp/nodeunit-" + process.pid + ".spill";
+            var fp = new Fputs(this.tempfile, {maxBuffered: 10, overflow: 'spill', spillFile: spillFile});
+            fp.fputs("line 1");
+            fp.fputs("line 2");
+            fp.fputs("line 3");
+            fp.fflushSync();
+            t.equal(fs.readFileSync(this.tempfile).toString(), "line 1\nline 2\nline 3\n");
+            t.ok(!fs.existsSync(spillFile));
+            fp.close(t.done);
+        },
+
+        'should throw if the writable cannot write synchronously': function(t) {
+            var fp = this.fp;
+            fp.fputs("line 1");
+            t.throws(function() { fp.fflushSync() }, /does not support writeSync/);
             t.done();
-        });
+        },
+
+        'should throw the write error': function(t) {
+            var writer = { write: function(data, cb) { cb() }, writeSync: function(data) { throw new Error("write error") } };
+            var fp = new Fputs(writer);
+            fp.fputs("line 1");
+            t.throws(function() { fp.fflushSync() }, /write error/);
+            t.equal(fp.getStats().errors, 1);
+            t.done();
+        },
+
+        'FileWriter.fflushSync should make the writes still waiting for the file once': function(t) {
+            var self = this;
+            var fw = new Fputs.FileWriter(this.tempfile);
+            fw.write("line 1\n", function(err, nbytes) {
+                t.ifError(err);
+                t.equal(nbytes, 7);
+                fw.write("line 3\n", function(err) {
+                    t.equal(fs.readFileSync(self.tempfile).toString(), "line 1\nline 2\nline 3\n");
+                    fw.close();
+                    t.done();
+                });
+            });
+            fw.writeSync("line 2\n");
+            t.equal(fs.readFileSync(this.tempfile).toString(), "line 1\nline 2\n");
+        },
+
+        'FileWriter.writeSync should append under the lock': function(t) {
+            var fw = new Fputs.FileWriter(this.tempfile, {lock: 'lockfile'});
+            t.equal(fw.writeSync("line 1\n"), 7);
+            t.equal(fw.writeSync(fromBuf("line 2\n")), 7);
+            var stat = fs.statSync(this.tempfile);
+            t.ok(!fs.existsSync("/tmp/.qfputs-" + stat.dev + "-" + stat.ino + ".lock"));
+            t.equal(fs.readFileSync(this.tempfile).toString(), "line 1\nline 2\n");
+            fw.close();
+            t.done();
+        },
     },
 
-    'constructor should accept a writable object': function(t) {
-        t.expect(1);
-        var self = this;
-        writer = fs.createWriteStream(this.tempfile, {flags: "a"});
-        var fp = new Fputs(writer);
-        fp.write("data");
-        fp.fflush(function() {
-            var contents = "" + fs.readFileSync(self.tempfile);
-            t.equals(contents, "data");
+    'flushOnExit': {
+        setUp: function(cb) {
+            var tempfile = this.tempfile;
+            this.runScript = function(script) {
+                var prologue = "var Fputs = require(" + JSON.stringify(require.resolve('../')) + ");" +
+                    "var fp = new Fputs(" + JSON.stringify(tempfile) + ", {flushOnExit: true});";
+                return require('child_process').spawnSync(process.execPath, ['-e', prologue + script], {timeout: 5000});
+            };
+            cb();
+        },
+
+        'should flush on process.exit': function(t) {
+            var ret = this.runScript("fp.fputs('line 1'); process.exit(3);");
+            t.equal(ret.status, 3);
+            t.equal(fs.readFileSync(this.tempfile).toString(), "line 1\n");
             t.done();
-        });
+        },
+
+        'should flush on SIGTERM and still exit by the signal': function(t) {
+            var ret = this.runScript("fp.fputs('line 2'); process.kill(process.pid, 'SIGTERM'); setTimeout(function(){}, 2000);");
+            t.equal(ret.signal, 'SIGTERM');
+            t.equal(fs.readFileSync(this.tempfile).toString(), "line 2\n");
+            t.done();
+        },
+
+        'should flush on an uncaught exception': function(t) {
+            var ret = this.runScript("fp.fputs('line 3'); setTimeout(function() { throw new Error('oops') }, 1);");
+            t.equal(ret.status, 1);
+            t.ok(/oops/.test(ret.stderr.toString()));
+            t.equal(fs.readFileSync(this.tempfile).toString(), "line 3\n");
+            t.done();
+        },
+
+        'should reject a writable without writeSync': function(t) {
+            t.throws(function() { new Fputs(process.stdout, {flushOnExit: true}) }, /needs a writable with writeSync/);
+            t.done();
+        },
+
+        'fflushSync should not need writeSync if nothing is buffered': function(t) {
+            var fp = new Fputs({ write: function(data, cb) { cb() } });
+            fp.fflushSync();
+            fp.write("line 1\n");
+            t.throws(function() { fp.fflushSync() }, /does not support writeSync/);
+            t.done();
+        },
+
+        'should not flush closed instances': function(t) {
+            var ret = this.runScript("fp.close(function() { fp.write('line 4\\n'); process.exit(0) });");
+            t.equal(ret.status, 0);
+            t.ok(!fs.existsSync(this.tempfile));
+            t.done();
+        },
     },
 
     'write': {
@@ -364,6 +1730,880 @@ module.exports = {
             });
         },
 
+        'rotate': {
+            setUp: function(cb) {
+                this.rotateDir = "/tmp/nodeunit-" + process.pid + "-rotate";
+                try { fs.mkdirSync(this.rotateDir) } catch (e) {}
+                this.rotateFile = this.rotateDir + "/app.log";
+                this.listFiles = function() { return fs.readdirSync(this.rotateDir).sort() };
+                cb();
+            },
+
+            tearDown: function(cb) {
+                var dir = this.rotateDir;
+                fs.readdirSync(dir).forEach(function(name) { fs.unlinkSync(dir + "/" + name) });
+                fs.rmdirSync(dir);
+                cb();
+            },
+
+            'should rotate the file when it reaches maxBytes': function(t) {
+                var self = this;
+                var fw = new Fputs.FileWriter(this.rotateFile, {rotate: {maxBytes: 10, pattern: 'app.log.%Y'}});
+                fw.write("line 1 of 12\n", function(err) {
+                    t.ifError(err);
+                    t.deepEqual(self.listFiles(), ['app.log']);
+                    fw.write("line 2\n", function(err) {
+                        t.ifError(err);
+                        var year = new Date().getFullYear();
+                        t.deepEqual(self.listFiles(), ['app.log', 'app.log.' + year]);
+                        t.equal(String(fs.readFileSync(self.rotateFile)), "line 2\n");
+                        t.equal(String(fs.readFileSync(self.rotateFile + '.' + year)), "line 1 of 12\n");
+                        fw.write("line 3 of 12\n", function(err) {
+                            fw.write("line 4\n", function(err) {
+                                t.deepEqual(self.listFiles(), ['app.log', 'app.log.' + year, 'app.log.' + year + '.1']);
+                                t.equal(String(fs.readFileSync(self.rotateFile + '.' + year + '.1')), "line 2\nline 3 of 12\n");
+                                t.done();
+                            });
+                        });
+                    });
+                });
+            },
+
+            'should rotate the file at the interval boundary': function(t) {
+                var self = this;
+                fs.writeFileSync(this.rotateFile, "old line\n");
+                var hourAgo = new Date(Date.now() - 3600000);
+                fs.utimesSync(this.rotateFile, hourAgo, hourAgo);
+                var fw = new Fputs.FileWriter(this.rotateFile, {rotate: {interval: 3600000, pattern: 'app.%Y%m%d-%H.log'}});
+                fw.write("new line\n", function(err) {
+                    t.ifError(err);
+                    var pad = function(n) { return n < 10 ? '0' + n : '' + n };
+                    var rotatedName = 'app.' + hourAgo.getFullYear() + pad(hourAgo.getMonth() + 1) + pad(hourAgo.getDate()) + '-' + pad(hourAgo.getHours()) + '.log';
+                    t.deepEqual(self.listFiles(), [rotatedName, 'app.log']);
+                    t.equal(String(fs.readFileSync(self.rotateDir + "/" + rotatedName)), "old line\n");
+                    fw.write("new line 2\n", function(err) {
+                        t.deepEqual(self.listFiles(), [rotatedName, 'app.log']);
+                        t.done();
+                    });
+                });
+            },
+
+            'should not rotate a file already rotated by another writer': function(t) {
+                var self = this;
+                var fw1 = new Fputs.FileWriter(this.rotateFile, {rotate: {maxBytes: 20, pattern: 'app.log.%Y'}});
+                var fw2 = new Fputs.FileWriter(this.rotateFile, {rotate: {maxBytes: 20, pattern: 'app.log.%Y'}});
+                fw1.write("line 1 is 20 chars.\n", function(err) {
+                    fw2.write("line 2 of 12\n", function(err) {
+                        // fw2 rotated, fw1 still has the old fd open
+                        fw1.write("line 3\n", function(err) {
+                            t.ifError(err);
+                            t.equal(self.listFiles().length, 2);
+                            t.equal(String(fs.readFileSync(self.rotateFile)), "line 2 of 12\nline 3\n");
+                            t.done();
+                        });
+                    });
+                });
+            },
+
+            'should compress the rotated file': function(t) {
+                var self = this;
+                var fw = new Fputs.FileWriter(this.rotateFile, {rotate: {maxBytes: 10, pattern: 'app.log.%Y', compress: true}});
+                fw.reopenInterval = 5;
+                fw.write("line 1 of 12\n", function(err) {
+                    fw.write("line 2\n", function(err) {
+                        t.ifError(err);
+                        var year = new Date().getFullYear();
+                        setTimeout(function() {
+                            t.deepEqual(self.listFiles(), ['app.log', 'app.log.' + year + '.gz']);
+                            var zlib = require('zlib');
+                            t.equal(String(zlib.gunzipSync(fs.readFileSync(self.rotateFile + '.' + year + '.gz'))), "line 1 of 12\n");
+                            t.done();
+                        }, 50);
+                    });
+                });
+            },
+
+            'should report compress errors to the Fputs setOnError handler': function(t) {
+                var compressFile = Fputs.FileWriter.compressFile;
+                Fputs.FileWriter.compressFile = function(filename, options, cb) { cb(new Error("compress error")) };
+                var fp = new Fputs(this.rotateFile, {rotate: {maxBytes: 10, pattern: 'app.log.%Y', compress: true}});
+                fp.setOnError(function(err) {
+                    Fputs.FileWriter.compressFile = compressFile;
+                    t.equal(err.message, "compress error");
+                    fp.close(t.done);
+                });
+                fp.fputs("line 1 of 12");
+                fp.fflush(function(err) {
+                    t.ifError(err);
+                    fp.fputs("line 2");
+                });
+            },
+
+            'should count a generation being compressed once when pruning': function(t) {
+                var self = this;
+                fs.writeFileSync(this.rotateDir + "/app.log.2001", "x");
+                fs.writeFileSync(this.rotateDir + "/app.log.2001.gz", "x");
+                fs.writeFileSync(this.rotateDir + "/app.log.2002.1.gz", "x");
+                var fw = new Fputs.FileWriter(this.rotateFile, {rotate: {maxBytes: 10, keep: 3, pattern: 'app.log.%Y'}});
+                fw.write("line 1 of 12\n", function(err) {
+                    fw.write("line 2\n", function(err) {
+                        t.equal(self.listFiles().length, 5);
+                        t.done();
+                    });
+                });
+            },
+
+            'should prune old generations beyond keep': function(t) {
+                var self = this;
+                fs.writeFileSync(this.rotateDir + "/app.log.2001", "x");
+                fs.writeFileSync(this.rotateDir + "/app.log.2002.gz", "x");
+                fs.writeFileSync(this.rotateDir + "/other.log.2001", "x");
+                fs.utimesSync(this.rotateDir + "/app.log.2001", 1000, 1000);
+                fs.utimesSync(this.rotateDir + "/app.log.2002.gz", 2000, 2000);
+                var fp = new Fputs(this.rotateFile, {rotate: {maxBytes: 10, keep: 2, pattern: 'app.log.%Y'}});
+                fp.fputs("line 1 of 12");
+                fp.fflush(function(err) {
+                    fp.fputs("line 2");
+                    fp.fflush(function(err) {
+                        t.ifError(err);
+                        var year = new Date().getFullYear();
+                        t.deepEqual(self.listFiles(), ['app.log', 'app.log.2002.gz', 'app.log.' + year, 'other.log.2001']);
+                        t.done();
+                    });
+                });
+            },
+        },
+
+        'compressFile': {
+            'should gzip the file and remove the original': function(t) {
+                var self = this;
+                fs.writeFileSync(this.tempfile, "test line\n");
+                Fputs.FileWriter.compressFile(this.tempfile, function(err) {
+                    t.ifError(err);
+                    t.ok(!fs.existsSync(self.tempfile));
+                    var zlib = require('zlib');
+                    t.equal(String(zlib.gunzipSync(fs.readFileSync(self.tempfile + '.gz'))), "test line\n");
+                    fs.unlinkSync(self.tempfile + '.gz');
+                    t.done();
+                });
+            },
+
+            'should deflate the file': function(t) {
+                var self = this;
+                fs.writeFileSync(this.tempfile, "test line\n");
+                Fputs.FileWriter.compressFile(this.tempfile, {format: 'deflate'}).then(function() {
+                    var zlib = require('zlib');
+                    t.equal(String(zlib.inflateSync(fs.readFileSync(self.tempfile + '.deflate'))), "test line\n");
+                    fs.unlinkSync(self.tempfile + '.deflate');
+                    t.done();
+                });
+            },
+
+            'should not overwrite an existing compressed file': function(t) {
+                var self = this;
+                fs.writeFileSync(this.tempfile, "test line\n");
+                fs.writeFileSync(this.tempfile + '.gz', "other");
+                Fputs.FileWriter.compressFile(this.tempfile, function(err) {
+                    t.equal(err.code, 'EEXIST');
+                    t.ok(fs.existsSync(self.tempfile));
+                    t.equal(String(fs.readFileSync(self.tempfile + '.gz')), "other");
+                    fs.unlinkSync(self.tempfile + '.gz');
+                    t.done();
+                });
+            },
+
+            'should compress without stream.pipeline': function(t) {
+                var self = this, stream = require('stream');
+                var pipeline = stream.pipeline;
+                delete stream.pipeline;
+                fs.writeFileSync(this.tempfile, "test line\n");
+                fs.writeFileSync(this.tempfile2 + '.gz', "other");
+                Fputs.FileWriter.compressFile(this.tempfile, function(err) {
+                    t.ifError(err);
+                    var zlib = require('zlib');
+                    t.equal(String(zlib.gunzipSync(fs.readFileSync(self.tempfile + '.gz'))), "test line\n");
+                    fs.unlinkSync(self.tempfile + '.gz');
+                    fs.writeFileSync(self.tempfile2, "test line\n");
+                    Fputs.FileWriter.compressFile(self.tempfile2, function(err) {
+                        stream.pipeline = pipeline;
+                        t.equal(err && err.code, 'EEXIST');
+                        t.ok(fs.existsSync(self.tempfile2));
+                        fs.unlinkSync(self.tempfile2 + '.gz');
+                        t.done();
+                    });
+                });
+            },
+        },
+
+        'gzip option should write each chunk as a gzip member': function(t) {
+            var self = this;
+            var fp1 = new Fputs(this.tempfile, {gzip: true});
+            var fp2 = new Fputs(this.tempfile, {gzip: true});
+            fp1.fputs("line 1");
+            fp1.fflush(function(err) {
+                fp2.fputs("line 2");
+                fp2.fflush(function(err) {
+                    fp1.fputs("line 3");
+                    fp1.fflush(function(err) {
+                        t.ifError(err);
+                        var zlib = require('zlib');
+                        t.equal(String(zlib.gunzipSync(fs.readFileSync(self.tempfile))), "line 1\nline 2\nline 3\n");
+                        t.done();
+                    });
+                });
+            });
+        },
+
+        'durability': {
+            setUp: function(cb) {
+                var syncs = this.syncs = [];
+                this.fdatasync = fs.fdatasync;
+                this.fdatasyncSync = fs.fdatasyncSync;
+                fs.fdatasync = function(fd, cb) { syncs.push(fd); cb() };
+                fs.fdatasyncSync = function(fd) { syncs.push('sync:' + fd) };
+                cb();
+            },
+
+            tearDown: function(cb) {
+                fs.fdatasync = this.fdatasync;
+                fs.fdatasyncSync = this.fdatasyncSync;
+                cb();
+            },
+
+            'should reject an unknown durability': function(t) {
+                var self = this;
+                t.throws(function() { new Fputs.FileWriter(self.tempfile, {durability: 'always'}) }, /invalid durability/);
+                t.done();
+            },
+
+            'none should not sync': function(t) {
+                var self = this;
+                var fp = new Fputs(this.tempfile);
+                fp.fputs("line 1");
+                fp.fflush(function(err) {
+                    t.ifError(err);
+                    fp.writable.close();
+                    t.equal(self.syncs.length, 0);
+                    t.done();
+                });
+            },
+
+            'everyWrite should sync every write': function(t) {
+                var self = this;
+                var fw = new Fputs.FileWriter(this.tempfile, {durability: 'everyWrite'});
+                fw.write("line 1\n", function(err) {
+                    fw.write("line 2\n", function(err) {
+                        t.ifError(err);
+                        t.deepEqual(self.syncs, [fw.fd, fw.fd]);
+                        fw.close();
+                        t.equal(self.syncs.length, 2);
+                        t.done();
+                    });
+                });
+            },
+
+            'onFlush should sync before the fflush callback runs': function(t) {
+                var self = this;
+                var fp = new Fputs(this.tempfile, {durability: 'onFlush'});
+                fp.fputs("line 1");
+                fp.fputs("line 2");
+                var fd;
+                setTimeout(function() {
+                    fd = fp.writable.fd;
+                    t.equal(self.syncs.length, 0);
+                    fp.fflush(function(err) {
+                        t.ifError(err);
+                        t.deepEqual(self.syncs, [fd]);
+                        fp.fflush(function(err) {
+                            t.deepEqual(self.syncs, [fd], "should not sync if nothing written");
+                            t.done();
+                        });
+                    });
+                }, 5);
+            },
+
+            'onFlush should sync the file before closing it': function(t) {
+                var self = this;
+                var fw = new Fputs.FileWriter(this.tempfile, {durability: 'onFlush'});
+                fw.write("line 1\n", function(err) {
+                    var fd = fw.fd;
+                    fw.close();
+                    t.deepEqual(self.syncs, ['sync:' + fd]);
+                    t.done();
+                });
+            },
+
+            'should return the sync error of a closed file from the next fsync': function(t) {
+                fs.fdatasyncSync = function(fd) { throw new Error("sync error") };
+                var fw = new Fputs.FileWriter(this.tempfile, {durability: 'onFlush'});
+                fw.write("line 1\n", function(err) {
+                    t.ifError(err);
+                    fw.close();
+                    fw.fsync(function(err) {
+                        t.equal(err && err.message, "sync error");
+                        fw.fsync(function(err) {
+                            t.ifError(err);
+                            t.done();
+                        });
+                    });
+                });
+            },
+
+            'should return the sync error of a reopened file from the next write': function(t) {
+                var self = this;
+                fs.fdatasyncSync = function(fd) { throw new Error("sync error") };
+                var fp = new Fputs(this.tempfile, {durability: 'interval:10000'});
+                fp.fputs("line 1");
+                fp.fflush(function(err) {
+                    t.ifError(err);
+                    fp.writable.reopen();
+                    fp.fputs("line 2");
+                    fp.fflush(function(err) {
+                        t.equal(err && err.message, "sync error");
+                        t.equal(fs.readFileSync(self.tempfile).toString(), "line 1\nline 2\n");
+                        fp.close(t.done);
+                    });
+                });
+            },
+
+            'onFlush fflush should return fsync errors': function(t) {
+                fs.fdatasync = function(fd, cb) { cb(new Error("sync error")) };
+                var fp = new Fputs(this.tempfile, {durability: 'onFlush'});
+                fp.fputs("line 1");
+                fp.fflush(function(err) {
+                    t.equal(err && err.message, "sync error");
+                    t.done();
+                });
+            },
+
+            'interval should sync in the background': function(t) {
+                var self = this;
+                var fw = new Fputs.FileWriter(this.tempfile, {durability: 'interval:10'});
+                fw.write("line 1\n", function(err) {
+                    fw.write("line 2\n", function(err) {
+                        var fd = fw.fd;
+                        t.equal(self.syncs.length, 0);
+                        setTimeout(function() {
+                            t.deepEqual(self.syncs, [fd]);
+                            t.done();
+                        }, 20);
+                    });
+                });
+            },
+
+            'interval should return background sync errors from the next write': function(t) {
+                fs.fdatasync = function(fd, cb) { var err = new Error("EIO: sync error"); err.code = 'EIO'; err.syscall = 'fdatasync'; cb(err) };
+                var fp = new Fputs(this.tempfile, {durability: 'interval:5', retry: {attempts: 3, codes: ['EIO']}});
+                fp.fputs("line 1");
+                fp.fflush(function(err) {
+                    t.ifError(err);
+                    setTimeout(function() {
+                        fp.fputs("line 2");
+                        fp.fflush(function(err) {
+                            t.equal(err && err.code, 'EIO');
+                            // the sync error is not retried, and is returned only once
+                            t.equal(fs.readFileSync(fp.writable.filename).toString(), "line 1\nline 2\n");
+                            fp.writable.fsync(function(err) {
+                                t.equal(err && err.code, 'EIO');
+                                fs.fdatasync = function(fd, cb) { cb() };
+                                fp.writable.fsync(function(err) {
+                                    t.ifError(err);
+                                    t.done();
+                                });
+                            });
+                        });
+                    }, 20);
+                });
+            },
+        },
+
+        'reopen': {
+            'should reject an invalid reopen policy': function(t) {
+                var self = this;
+                t.throws(function() { new Fputs.FileWriter(self.tempfile, {reopen: 'never'}) }, /invalid reopen policy/);
+                t.throws(function() { new Fputs.FileWriter(self.tempfile, {reopen: 'interval:x'}) }, /invalid reopen policy/);
+                t.equal(new Fputs.FileWriter(this.tempfile).reopenInterval, 50);
+                t.equal(new Fputs.FileWriter(this.tempfile, {reopen: 'interval:200'}).reopenInterval, 200);
+                t.equal(new Fputs(this.tempfile, {reopen: 'inode'}).writable.reopenPolicy, 'inode');
+                t.done();
+            },
+
+            'interval should reopen the file after the interval': function(t) {
+                var fw = new Fputs.FileWriter(this.tempfile, {reopen: 'interval:10'});
+                fw.write("line 1\n", function(err) {
+                    setTimeout(function() {
+                        fw.write("line 2\n", function(err) {
+                            t.equal(fw.getStats().reopenCount, 1);
+                            fw.close();
+                            t.done();
+                        });
+                    }, 15);
+                });
+            },
+
+            'inode should keep the file open until it is renamed or removed': function(t) {
+                var self = this;
+                var fw = new Fputs.FileWriter(this.tempfile, {reopen: 'inode'});
+                fw.write("line 1\n", function(err) {
+                    setTimeout(function() {
+                        fw.write("line 2\n", function(err) {
+                            t.equal(fw.getStats().reopenCount, 0);
+                            fs.renameSync(self.tempfile, self.tempfile2);
+                            fw.write("line 3\n", function(err) {
+                                t.equal(fw.getStats().reopenCount, 1);
+                                t.equal(fs.readFileSync(self.tempfile2).toString(), "line 1\nline 2\n");
+                                t.equal(fs.readFileSync(self.tempfile).toString(), "line 3\n");
+                                fs.unlinkSync(self.tempfile);
+                                fw.write("line 4\n", function(err) {
+                                    t.equal(fw.getStats().reopenCount, 2);
+                                    t.equal(fs.readFileSync(self.tempfile).toString(), "line 4\n");
+                                    fw.close();
+                                    t.done();
+                                });
+                            });
+                        });
+                    }, 60);
+                });
+            },
+
+            'reopen should reopen the file on the next write': function(t) {
+                var fw = new Fputs.FileWriter(this.tempfile, {reopen: 'inode'});
+                fw.write("line 1\n", function(err) {
+                    fw.reopen();
+                    fw.write("line 2\n", function(err) {
+                        t.equal(fw.getStats().reopenCount, 1);
+                        fw.writeSync("line 3\n");
+                        t.equal(fw.getStats().reopenCount, 1);
+                        fw.close();
+                        t.done();
+                    });
+                });
+            },
+
+            'renameFile should not wait for writers that check the inode': function(t) {
+                var self = this;
+                var fw = new Fputs.FileWriter(this.tempfile, {reopen: 'inode'});
+                fw.write("line 1\n", function(err) {
+                    var t1 = Date.now();
+                    fw.renameFile(self.tempfile, self.tempfile2, function(err) {
+                        t.ifError(err);
+                        t.ok(Date.now() - t1 < 40);
+                        var t2 = Date.now();
+                        Fputs.FileWriter.renameFile(self.tempfile2, self.tempfile, {reopen: 'interval:60'}, function(err) {
+                            t.ifError(err);
+                            t.ok(Date.now() - t2 >= 60);
+                            fw.close();
+                            t.done();
+                        });
+                    });
+                });
+            },
+
+            'renameFile should wait for writers that check the inode without a lock': function(t) {
+                var self = this;
+                var fw = new Fputs.FileWriter(this.tempfile, {reopen: 'inode', lock: 'none'});
+                fw.write("line 1\n", function(err) {
+                    var t1 = Date.now();
+                    fw.renameFile(self.tempfile, self.tempfile2, function(err) {
+                        t.ifError(err);
+                        t.ok(Date.now() - t1 >= 50);
+                        var t2 = Date.now();
+                        Fputs.FileWriter.renameFile(self.tempfile2, self.tempfile, {reopen: 'inode', lock: 'append'}, function(err) {
+                            t.ifError(err);
+                            t.ok(Date.now() - t2 >= 50);
+                            fw.close();
+                            t.done();
+                        });
+                    });
+                });
+            },
+        },
+
+        'create': {
+            setUp: function(cb) {
+                this.createDir = "/tmp/nodeunit-" + process.pid + "-create";
+                this.umask = process.umask(022);
+                cb();
+            },
+
+            tearDown: function(cb) {
+                process.umask(this.umask);
+                (function rmTree(dir) {
+                    try { fs.readdirSync(dir).forEach(function(name) { rmTree(dir + "/" + name) }); fs.rmdirSync(dir) }
+                    catch (e) { try { fs.unlinkSync(dir) } catch (e) {} }
+                })(this.createDir);
+                cb();
+            },
+
+            'should reject an invalid mode': function(t) {
+                var self = this;
+                t.throws(function() { new Fputs.FileWriter(self.tempfile, {mode: '0x9'}) }, /invalid file mode/);
+                t.throws(function() { new Fputs.FileWriter(self.tempfile, {mode: 010000}) }, /invalid file mode/);
+                t.equal(new Fputs.FileWriter(this.tempfile, {mode: '0640'}).createOptions.mode, 0640);
+                t.done();
+            },
+
+            'should create the missing directories with mkdirp': function(t) {
+                var self = this;
+                var filename = this.createDir + "/a/b/app.log";
+                var fw = new Fputs.FileWriter(filename);
+                fw.write("line 1\n", function(err) {
+                    t.equal(err.code, 'ENOENT');
+                    fw = new Fputs(filename, {mkdirp: true});
+                    fw.fputs("line 2\n");
+                    fw.fflush(function(err) {
+                        t.ifError(err);
+                        t.equal(fs.readFileSync(filename).toString(), "line 2\n");
+                        fw.close();
+                        t.done();
+                    });
+                });
+            },
+
+            'should create the missing directories one by one, as for node before v10.12': function(t) {
+                var self = this;
+                var mkdir = fs.mkdir, mkdirSync = fs.mkdirSync;
+                // older node took the options object for a mode, and did not create the parents
+                fs.mkdir = function(dir, mode, cb) { t.equal(typeof mode, 'function'); mkdir(dir, mode, cb) };
+                fs.mkdirSync = function(dir, mode) { t.equal(mode, undefined); mkdirSync(dir) };
+                var fw = new Fputs.FileWriter(this.createDir + "/a/b/app.log", {mkdirp: true});
+                fw.write("line 1\n", function(err) {
+                    t.ifError(err);
+                    fw.close();
+                    var fw2 = new Fputs.FileWriter(self.createDir + "/c/d/app.log", {mkdirp: true});
+                    fw2.writeSync("line 2\n");
+                    fw2.close();
+                    fs.mkdir = mkdir;
+                    fs.mkdirSync = mkdirSync;
+                    t.equal(fs.readFileSync(self.createDir + "/a/b/app.log").toString(), "line 1\n");
+                    t.equal(fs.readFileSync(self.createDir + "/c/d/app.log").toString(), "line 2\n");
+                    t.done();
+                });
+            },
+
+            'should create the file with the mode, not masked by the umask': function(t) {
+                var self = this;
+                var filename = this.createDir + "/app.log";
+                var fw = new Fputs.FileWriter(filename, {mkdirp: true, mode: 0666});
+                fw.write("line 1\n", function(err) {
+                    t.ifError(err);
+                    t.equal(fs.statSync(filename).mode & 0777, 0666);
+                    // an existing file keeps its own mode
+                    fs.chmodSync(filename, 0600);
+                    fw.reopen();
+                    fw.write("line 2\n", function(err) {
+                        t.equal(fs.statSync(filename).mode & 0777, 0600);
+                        fw.close();
+                        t.done();
+                    });
+                });
+            },
+
+            'should set the mode and owner of a removed file recreated on reopen': function(t) {
+                var filename = this.createDir + "/app.log";
+                var uid = process.getuid(), gid = process.getgid();
+                var fw = new Fputs.FileWriter(filename, {mkdirp: true, mode: '0640', uid: uid, gid: gid, reopen: 'inode'});
+                fw.write("line 1\n", function(err) {
+                    t.ifError(err);
+                    fs.unlinkSync(filename);
+                    fw.write("line 2\n", function(err) {
+                        t.ifError(err);
+                        var stat = fs.statSync(filename);
+                        t.equal(stat.mode & 0777, 0640);
+                        t.equal(stat.uid, uid);
+                        t.equal(stat.gid, gid);
+                        fs.unlinkSync(filename);
+                        fw.reopen();
+                        fw.writeSync("line 3\n");
+                        t.equal(fs.statSync(filename).mode & 0777, 0640);
+                        t.equal(fs.readFileSync(filename).toString(), "line 3\n");
+                        fw.close();
+                        t.done();
+                    });
+                });
+            },
+
+            'renameFile should create the destination directory and set its mode': function(t) {
+                var self = this;
+                var newName = this.createDir + "/grab/app.log";
+                fs.writeFileSync(this.tempfile, "line 1\n");
+                fs.chmodSync(this.tempfile, 0644);
+                Fputs.FileWriter.renameFile(this.tempfile, newName, {mkdirp: true, mode: 0600}, function(err) {
+                    t.ifError(err);
+                    t.equal(fs.readFileSync(newName).toString(), "line 1\n");
+                    t.equal(fs.statSync(newName).mode & 0777, 0600);
+                    t.done();
+                });
+            },
+        },
+
+        'writev': {
+            'should write the buffers with a single write': function(t) {
+                var self = this;
+                var fw = new Fputs.FileWriter(this.tempfile);
+                fw.writev([fromBuf("line 1\n"), fromBuf("line 2\n"), fromBuf("line 3\n")], function(err, nbytes) {
+                    t.ifError(err);
+                    t.equal(nbytes, 21);
+                    t.equal(fw.getStats().writeCalls, 1);
+                    t.equal(fs.readFileSync(self.tempfile).toString(), "line 1\nline 2\nline 3\n");
+                    fw.close();
+                    t.done();
+                });
+            },
+
+            'should concatenate the buffers for the append lock and gzip': function(t) {
+                var self = this;
+                var fw = new Fputs.FileWriter(this.tempfile, {lock: 'append'});
+                fw.writev([fromBuf("line 1\n"), fromBuf("line 2\n")], function(err, nbytes) {
+                    t.ifError(err);
+                    fw.close();
+                    fw = new Fputs.FileWriter(self.tempfile, {gzip: true});
+                    fw.writev([fromBuf("line 3\n"), fromBuf("line 4\n")], function(err) {
+                        t.ifError(err);
+                        var zlib = require('zlib');
+                        var contents = fs.readFileSync(self.tempfile);
+                        t.equal(contents.slice(0, 14).toString(), "line 1\nline 2\n");
+                        t.equal(zlib.gunzipSync(contents.slice(14)).toString(), "line 3\nline 4\n");
+                        fw.close();
+                        t.done();
+                    });
+                });
+            },
+
+            'fflushSync should make a pending writev': function(t) {
+                var self = this;
+                var fw = new Fputs.FileWriter(this.tempfile);
+                fw.writev([fromBuf("line 1\n"), fromBuf("line 2\n")], function(err, nbytes) {
+                    t.ifError(err);
+                    t.equal(nbytes, 14);
+                    t.equal(fs.readFileSync(self.tempfile).toString(), "line 1\nline 2\n");
+                    fw.close();
+                    t.done();
+                });
+                fw.fflushSync();
+            },
+
+            'Fputs should pass the buffer lists to writev without copying': function(t) {
+                var writes = [], writevs = [];
+                var writer = {
+                    write: function(data, cb) { writes.push(data); cb() },
+                    writev: function(buffers, cb) { writevs.push(buffers); cb() },
+                };
+                var fp = new Fputs(writer);
+                var buf1 = fromBuf("line 1\n"), buf2 = fromBuf("line 2\n");
+                fp.write(buf1);
+                fp.write(buf2);
+                fp.write("line 3\n");
+                fp.fflush(function(err) {
+                    t.equal(writevs.length, 1);
+                    t.strictEqual(writevs[0][0], buf1);
+                    t.strictEqual(writevs[0][1], buf2);
+                    t.deepEqual(writes, ["line 3\n"]);
+                    t.done();
+                });
+            },
+
+            'Fputs should write mixed strings and buffers to a FileWriter': function(t) {
+                var self = this;
+                var fp = new Fputs(this.tempfile, {writesize: 20});
+                fp.write("line 1\n");
+                fp.write(fromBuf("line 2\n"));
+                fp.write("line 3\n");
+                fp.write(fromBuf("line 4\n"));
+                fp.close(function(err) {
+                    t.ifError(err);
+                    t.equal(fs.readFileSync(self.tempfile).toString(), "line 1\nline 2\nline 3\nline 4\n");
+                    t.done();
+                });
+            },
+        },
+
+        'lock': {
+            setUp: function(cb) {
+                // the lockfile of the tempfile is named for its device and inode
+                var tempfile = this.tempfile;
+                this.lockName = function() {
+                    var stat = fs.statSync(tempfile);
+                    return "/tmp/.qfputs-" + stat.dev + "-" + stat.ino + ".lock";
+                };
+                cb();
+            },
+
+            'should pick flock if available, else lockfiles in a writable directory': function(t) {
+                t.equal(Fputs.FileWriter.getLockProvider(), fse ? 'flock' : 'none');
+                t.equal(Fputs.FileWriter.getLockProvider(this.tempfile), fse ? 'flock' : 'lockfile');
+                t.equal(new Fputs.FileWriter(this.tempfile).getLockProvider(), fse ? 'flock' : 'lockfile');
+                // a directory to be created by mkdirp is as writable as its parent
+                t.equal(new Fputs.FileWriter("/tmp/nonesuch-" + process.pid + "/file", {mkdirp: true}).getLockProvider(), fse ? 'flock' : 'lockfile');
+                t.equal(new Fputs(this.tempfile, {lock: 'mkdir'}).writable.getLockProvider(), 'mkdir');
+                t.deepEqual(Fputs.FileWriter.LOCK_PROVIDERS, ['flock', 'lockfile', 'mkdir', 'append', 'none']);
+                t.done();
+            },
+
+            'should write by default to a file in a read-only directory': function(t) {
+                var dirname = "/tmp/nodeunit-" + process.pid + ".dir", filename = dirname + "/app.log";
+                fs.mkdirSync(dirname);
+                fs.writeFileSync(filename, "");
+                fs.chmodSync(dirname, 0555);
+                var fp = new Fputs(filename);
+                // root can write the directory anyway
+                if (!fse && process.getuid() !== 0) t.equal(fp.writable.lockProvider, 'none');
+                fp.fputs("line 1");
+                fp.fflush(function(err) {
+                    t.ifError(err);
+                    t.equal(fs.readFileSync(filename).toString(), "line 1\n");
+                    fs.chmodSync(dirname, 0755);
+                    fs.unlinkSync(filename);
+                    fs.rmdirSync(dirname);
+                    t.done();
+                });
+            },
+
+            'should reject an unknown or unavailable lock provider': function(t) {
+                var self = this;
+                t.throws(function() { new Fputs.FileWriter(self.tempfile, {lock: 'fcntl'}) }, /unknown lock provider/);
+                t.throws(function() { new Fputs.FileWriter(self.tempfile, {lock: 'append', gzip: true}) }, /gzip needs a lock/);
+                if (!fse) t.throws(function() { new Fputs.FileWriter(self.tempfile, {lock: 'flock'}) }, /need fs-ext/);
+                t.done();
+            },
+
+            'should write with each provider and leave no locks behind': function(t) {
+                var self = this;
+                var locks = ['lockfile', 'mkdir', 'append', 'none'], ix = 0;
+                (function loop() {
+                    if (ix >= locks.length) return t.done();
+                    var lock = locks[ix++];
+                    try { fs.unlinkSync(self.tempfile) } catch (e) {}
+                    var fp1 = new Fputs(self.tempfile, {lock: lock, writesize: 10});
+                    var fp2 = new Fputs(self.tempfile, {lock: lock, writesize: 10});
+                    for (var i = 0; i < 20; i++) { fp1.fputs("line " + i); fp2.fputs("line " + i) }
+                    fp1.fflush(function(err) {
+                        fp2.fflush(function(err2) {
+                            t.ifError(err || err2);
+                            var lines = fs.readFileSync(self.tempfile).toString().split("\n");
+                            t.equal(lines.length, 41, lock);
+                            t.equal(lines.filter(function(line) { return /^line \d+$/.test(line) }).length, 40);
+                            t.ok(!fs.existsSync(self.lockName()));
+                            loop();
+                        });
+                    });
+                })();
+            },
+
+            'lockfile should wait for the lock': function(t) {
+                var self = this;
+                fs.writeFileSync(this.tempfile, "");
+                var lockName = this.lockName();
+                fs.writeFileSync(lockName, process.pid + "@" + require('os').hostname());
+                var t1 = Date.now();
+                setTimeout(function() { fs.unlinkSync(lockName) }, 50);
+                var fw = new Fputs.FileWriter(this.tempfile, {lock: 'lockfile'});
+                fw.write("line 1\n", function(err) {
+                    t.ifError(err);
+                    t.ok(Date.now() >= t1 + 50);
+                    t.equal(fs.readFileSync(self.tempfile).toString(), "line 1\n");
+                    t.done();
+                });
+            },
+
+            'lockfile should remove a lock of an exited process': function(t) {
+                var self = this;
+                fs.writeFileSync(this.tempfile, "");
+                // pids are never this large
+                fs.writeFileSync(this.lockName(), "999999999@" + require('os').hostname());
+                var fw = new Fputs.FileWriter(this.tempfile, {lock: 'lockfile'});
+                fw.write("line 1\n", function(err) {
+                    t.ifError(err);
+                    t.ok(!fs.existsSync(self.lockName()));
+                    t.done();
+                });
+            },
+
+            'mkdir should remove a stale lock': function(t) {
+                var self = this;
+                fs.writeFileSync(this.tempfile, "");
+                var lockName = this.lockName();
+                fs.mkdirSync(lockName);
+                var fw = new Fputs.FileWriter(this.tempfile, {lock: 'mkdir', staleLockMs: 100});
+                var t1 = Date.now();
+                fw.write("line 1\n", function(err) {
+                    t.ifError(err);
+                    t.ok(Date.now() >= t1 + 100);
+                    t.ok(!fs.existsSync(lockName));
+                    t.done();
+                });
+            },
+
+            'renameFile should wait for the lockfile lock': function(t) {
+                var self = this;
+                fs.writeFileSync(this.tempfile, "test4");
+                var lockName = this.lockName();
+                fs.writeFileSync(lockName, process.pid + "@" + require('os').hostname());
+                var t1 = Date.now();
+                setTimeout(function() { fs.unlinkSync(lockName) }, 125 + 1);
+                Fputs.FileWriter.renameFile(this.tempfile, this.tempfile2, {lock: 'lockfile', waitMs: 10}, function(err) {
+                    t.ifError(err);
+                    t.ok(Date.now() >= t1 + 125);
+                    t.equal(fs.readFileSync(self.tempfile2).toString(), "test4");
+                    t.ok(!fs.existsSync(lockName));
+                    t.done();
+                });
+            },
+
+            'Fputs renameFile should wait for the lock of its writable': function(t) {
+                var self = this;
+                fs.writeFileSync(this.tempfile, "test4");
+                var fp = new Fputs(this.tempfile, {lock: 'mkdir'});
+                var lockName = this.lockName();
+                fs.mkdirSync(lockName);
+                var t1 = Date.now();
+                setTimeout(function() { fs.rmdirSync(lockName) }, 50);
+                fp.renameFile(this.tempfile, this.tempfile2, {waitMs: 10}, function(err) {
+                    t.ifError(err);
+                    t.ok(Date.now() >= t1 + 50);
+                    t.equal(fs.readFileSync(self.tempfile2).toString(), "test4");
+                    t.done();
+                });
+            },
+
+            'renameFile should time out after mutexTimeout and not keep the lock': function(t) {
+                var self = this;
+                fs.writeFileSync(this.tempfile, "test4");
+                var lockName = this.lockName();
+                fs.writeFileSync(lockName, process.pid + "@" + require('os').hostname());
+                var t1 = Date.now();
+                Fputs.FileWriter.renameFile(this.tempfile, this.tempfile2, {lock: 'lockfile', waitMs: 10, mutexTimeout: 50}, function(err) {
+                    t.ok(err && /timed out/.test(err.message));
+                    t.ok(Date.now() >= t1 + 50);
+                    fs.unlinkSync(lockName);
+                    setTimeout(function() {
+                        t.ok(!fs.existsSync(lockName));
+                        t.done();
+                    }, 40);
+                });
+            },
+
+            'append should write whole lines of at most PIPE_BUF bytes': function(t) {
+                var self = this;
+                var fsWrite = fs.write, writes = [];
+                fs.write = function(fd, buf, offset, len, position, cb) {
+                    writes.push(buf.slice(offset, offset + len).toString());
+                    return fsWrite.apply(fs, arguments);
+                };
+                var line = new Array(1000).join("x") + "\n", longLine = new Array(5000).join("y") + "\n";
+                var data = line + line + line + line + line + longLine + line;
+                var fw = new Fputs.FileWriter(this.tempfile, {lock: 'append'});
+                fw.write(data, function(err, nbytes) {
+                    fs.write = fsWrite;
+                    t.ifError(err);
+                    t.equal(nbytes, Buffer.byteLength(data));
+                    t.deepEqual(writes, [line + line + line + line, line, longLine, line]);
+                    t.equal(fs.readFileSync(self.tempfile).toString(), data);
+                    t.done();
+                });
+            },
+        },
+
         'FileWriter.renameFile should rename file': function(t) {
             var self = this;
             fs.writeFileSync(this.tempfile, "test");
@@ -0,0 +1,235 @@
+// qfputs network writers test
+// Copyright (C) 2026 Andras Radics
+// Licensed under the Apache License, Version 2.0
+
+var fs = require('fs');
+var net = require('net');
+var dgram = require('dgram');
+
+var Fputs = require('../');
+
+var fromBuf = eval('parseInt(process.versions.node) >= 7 ? Buffer.from : Buffer');
+
+function createServer( received, callback ) {
+    var server = net.createServer(function(conn) {
+        server._conns.push(conn);
+        conn.on('data', function(chunk) { received.push(String(chunk)) });
+    });
+    server._conns = [];
+    server.shutdown = function(cb) {
+        server._conns.forEach(function(conn) { conn.destroy() });
+        server.close(cb);
+    }
+    return server;
+}
+
+module.exports = {
+    setUp: function(cb) {
+        this.received = [];
+        this.socketPath = "/tmp/nodeunit-" + process.pid + ".sock";
+        try { fs.unlinkSync(this.socketPath) } catch (e) {}
+        cb();
+    },
+
+    'should export the writers': function(t) {
+        t.equal(Fputs.SocketWriter, require('../lib/socketwriter'));
+        t.equal(Fputs.DgramWriter, require('../lib/dgramwriter'));
+        t.done();
+    },
+
+    'SocketWriter': {
+        'should require a port or path': function(t) {
+            t.throws(function() { new Fputs.SocketWriter({}) }, /missing port or path/);
+            t.done();
+        },
+
+        'should not connect until written': function(t) {
+            var writer = new Fputs.SocketWriter({port: 1});
+            t.equal(writer.socket, null);
+            t.done();
+        },
+
+        'should write to a tcp socket': function(t) {
+            var self = this;
+            var server = createServer(this.received).listen(0, function() {
+                var fp = new Fputs(new Fputs.SocketWriter({host: '127.0.0.1', port: server.address().port}));
+                fp.fputs("line 1");
+                fp.fputs("line 2");
+                fp.fflush(function(err) {
+                    t.ifError(err);
+                    setTimeout(function() {
+                        t.equal(self.received.join(''), "line 1\nline 2\n");
+                        fp.close(function(err) {
+                            t.equal(fp.writable.closed, true);
+                            server.shutdown(function() { t.done() });
+                        });
+                    }, 10);
+                });
+            });
+        },
+
+        'should write to a unix socket': function(t) {
+            var self = this;
+            var server = createServer(this.received).listen(this.socketPath, function() {
+                var fp = new Fputs(new Fputs.SocketWriter({path: self.socketPath}));
+                fp.fputs("line 1");
+                fp.fflush(function(err) {
+                    t.ifError(err);
+                    setTimeout(function() {
+                        t.equal(self.received.join(''), "line 1\n");
+                        fp.close(function(err) {
+                            t.equal(fp.writable.closed, true);
+                            server.shutdown(function() { t.done() });
+                        });
+                    }, 10);
+                });
+            });
+        },
+
+        'should be closed by a Tee': function(t) {
+            var server = createServer(this.received).listen(0, function() {
+                var writer = new Fputs.SocketWriter({host: '127.0.0.1', port: server.address().port});
+                var fp = new Fputs(new Fputs.Tee([writer]));
+                fp.fputs("line 1");
+                fp.close(function(err) {
+                    t.ifError(err);
+                    t.equal(writer.closed, true);
+                    server.shutdown(function() { t.done() });
+                });
+            });
+        },
+
+        'should return the number of bytes written': function(t) {
+            var server = createServer(this.received).listen(0, function() {
+                var writer = new Fputs.SocketWriter({host: '127.0.0.1', port: server.address().port});
+                writer.write("caf\u00e9\n", function(err, nbytes) {
+                    t.ifError(err);
+                    t.equal(nbytes, 6);
+                    writer.close(function() {
+                        server.shutdown(function() { t.done() });
+                    });
+                });
+            });
+        },
+
+        'should keep the data buffered and reconnect once the server is up': function(t) {
+            var self = this;
+            var server = createServer(this.received).listen(0, function() {
+                var port = server.address().port;
+                server.shutdown(function() {
+                    var writer = new Fputs.SocketWriter({host: '127.0.0.1', port: port, reconnectDelay: 10});
+                    var fp = new Fputs(writer);
+                    fp.fputs("line 1");
+                    fp.fputs("line 2");
+                    var flushed = false;
+                    fp.fflush(function(err) {
+                        t.ifError(err);
+                        flushed = true;
+                    });
+                    setTimeout(function() {
+                        t.equal(flushed, false);
+                        t.ok(writer._reconnectCount >= 1);
+                        server = createServer(self.received).listen(port, function() {
+                            setTimeout(function() {
+                                t.equal(flushed, true);
+                                t.equal(self.received.join(''), "line 1\nline 2\n");
+                                fp.close(function() {
+                                    server.shutdown(function() { t.done() });
+                                });
+                            }, 100);
+                        });
+                    }, 30);
+                });
+            });
+        },
+
+        'should reconnect after the connection drops': function(t) {
+            var self = this;
+            var server = createServer(this.received).listen(0, function() {
+                var writer = new Fputs.SocketWriter({host: '127.0.0.1', port: server.address().port, reconnectDelay: 5});
+                var fp = new Fputs(writer);
+                fp.fputs("line 1");
+                fp.fflush(function(err) {
+                    setTimeout(function() {
+                        server._conns.forEach(function(conn) { conn.destroy() });
+                        setTimeout(function() {
+                            t.equal(writer.connected, false);
+                            fp.fputs("line 2");
+                            fp.fflush(function(err) {
+                                t.ifError(err);
+                                setTimeout(function() {
+                                    t.equal(self.received.join(''), "line 1\nline 2\n");
+                                    fp.close(function() {
+                                        server.shutdown(function() { t.done() });
+                                    });
+                                }, 10);
+                            });
+                        }, 10);
+                    }, 10);
+                });
+            });
+        },
+
+        'close should fail pending writes': function(t) {
+            var writer = new Fputs.SocketWriter({host: '127.0.0.1', port: 1, reconnectDelay: 1000});
+            writer.write("line 1\n", function(err) {
+                t.ok(err instanceof Error);
+                writer.write("line 2\n", function(err) {
+                    t.ok(err instanceof Error);
+                    t.done();
+                });
+            });
+            setTimeout(function() { writer.close() }, 10);
+        },
+    },
+
+    'DgramWriter': {
+        setUp: function(cb) {
+            var received = this.received;
+            var server = this.server = dgram.createSocket('udp4');
+            server.on('message', function(msg) { received.push(String(msg)) });
+            server.bind(0, '127.0.0.1', cb);
+        },
+
+        tearDown: function(cb) {
+            this.server.close();
+            cb();
+        },
+
+        'should require a port': function(t) {
+            t.throws(function() { new Fputs.DgramWriter({}) }, /missing port/);
+            t.done();
+        },
+
+        'should send datagrams': function(t) {
+            var self = this;
+            var fp = new Fputs(new Fputs.DgramWriter({host: '127.0.0.1', port: this.server.address().port}));
+            fp.fputs("line 1");
+            fp.write(fromBuf("line 2\n"));
+            fp.fflush(function(err) {
+                t.ifError(err);
+                setTimeout(function() {
+                    t.equal(self.received.join(''), "line 1\nline 2\n");
+                    fp.close(function(err) {
+                        t.equal(fp.writable.socket, null);
+                        t.done();
+                    });
+                }, 10);
+            });
+        },
+
+        'should split datagrams only on line boundaries': function(t) {
+            var self = this;
+            var writer = new Fputs.DgramWriter({host: '127.0.0.1', port: this.server.address().port, maxPacketSize: 16});
+            writer.write("line 1\nline 2\nline 3\nthis line is too long\nline 5\n", function(err, nbytes) {
+                t.ifError(err);
+                t.equal(nbytes, 50);
+                setTimeout(function() {
+                    t.deepEqual(self.received, ["line 1\nline 2\n", "line 3\n", "this line is too long\n", "line 5\n"]);
+                    writer.close();
+                    t.done();
+                }, 10);
+            });
+        },
+    },
+}
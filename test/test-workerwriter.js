@@ -0,0 +1,241 @@
+// qfputs worker thread writer test
+// Copyright (C) 2026 Andras Radics
+// Licensed under the Apache License, Version 2.0
+
+var fs = require('fs');
+
+var Fputs = require('../');
+var WorkerWriter = require('../lib/workerwriter');
+
+var fromBuf = eval('parseInt(process.versions.node) >= 7 ? Buffer.from : Buffer');
+
+module.exports = {
+    setUp: function(cb) {
+        this.tempfile = "/tmp/nodeunit-" + process.pid + ".tmp";
+        try { fs.unlinkSync(this.tempfile) } catch (e) {}
+        cb();
+    },
+
+    tearDown: function(cb) {
+        try { fs.unlinkSync(this.tempfile) } catch (e) {}
+        cb();
+    },
+
+    'should export WorkerWriter': function(t) {
+        t.equal(Fputs.WorkerWriter, WorkerWriter);
+        t.equal(typeof WorkerWriter.isSupported(), 'boolean');
+        t.done();
+    },
+
+    'should use a WorkerWriter for the worker option': function(t) {
+        if (!WorkerWriter.isSupported()) t.skip();
+        var fp = new Fputs(this.tempfile, {worker: true});
+        t.ok(fp.writable._isWorkerWriter);
+        t.ok(fp.writable instanceof WorkerWriter);
+        fp.close(function(err) {
+            t.ifError(err);
+            t.done();
+        });
+    },
+
+    'should use a FileWriter without the worker option': function(t) {
+        var fp = new Fputs(this.tempfile);
+        t.ok(fp.writable._isFileWriter);
+        t.done();
+    },
+
+    'should use a FileWriter if worker threads are not available': function(t) {
+        var isSupported = WorkerWriter.isSupported;
+        WorkerWriter.isSupported = function() { return false };
+        try { var fp = new Fputs(this.tempfile, {worker: true}) }
+        finally { WorkerWriter.isSupported = isSupported }
+        t.ok(fp.writable._isFileWriter);
+        t.done();
+    },
+
+    'should check the FileWriter options': function(t) {
+        if (!WorkerWriter.isSupported()) t.skip();
+        var tempfile = this.tempfile;
+        t.throws(function() { new WorkerWriter(tempfile, {encoding: 'nonesuch'}) }, /unknown encoding/);
+        t.done();
+    },
+
+    'should reject framing with the append lock': function(t) {
+        var tempfile = this.tempfile;
+        t.throws(function() { new Fputs(tempfile, {worker: true, lock: 'append', framing: 'uint32'}) }, /framing needs a lock/);
+        t.done();
+    },
+
+    'should write lines and close': function(t) {
+        if (!WorkerWriter.isSupported()) t.skip();
+        var tempfile = this.tempfile;
+        var fp = new Fputs(tempfile, {worker: true});
+        for (var i = 0; i < 1000; i++) fp.fputs("line " + i);
+        fp.close(function(err) {
+            t.ifError(err);
+            var lines = fs.readFileSync(tempfile, 'utf8').split('\n');
+            t.equal(lines.length, 1001);
+            t.equal(lines[0], "line 0");
+            t.equal(lines[999], "line 999");
+            t.done();
+        });
+    },
+
+    'should wrap around the ring buffer in order': function(t) {
+        if (!WorkerWriter.isSupported()) t.skip();
+        var tempfile = this.tempfile;
+        var writer = new WorkerWriter(tempfile, {ringSize: 100});
+        var expect = '';
+        for (var i = 0; i < 200; i++) {
+            var line = "line " + i + "\n";
+            writer.write(i % 3 ? line : fromBuf(line));
+            expect += line;
+        }
+        writer.writev([fromBuf("line a\n"), fromBuf("line b\n")]);
+        writer.close(function(err) {
+            t.ifError(err);
+            t.equal(fs.readFileSync(tempfile, 'utf8'), expect + "line a\nline b\n");
+            t.done();
+        });
+    },
+
+    'should post chunks larger than the ring buffer': function(t) {
+        if (!WorkerWriter.isSupported()) t.skip();
+        var tempfile = this.tempfile;
+        var writer = new WorkerWriter(tempfile, {ringSize: 20});
+        var big = new Array(100).join('x') + '\n';
+        writer.write("line 1\n");
+        writer.write(big);
+        writer.writev([fromBuf(big), fromBuf("line 2\n")]);
+        writer.write("line 3\n");
+        writer.fflush(function(err) {
+            t.ifError(err);
+            t.equal(fs.readFileSync(tempfile, 'utf8'), "line 1\n" + big + big + "line 2\nline 3\n");
+            t.equal(writer.getStats().bytesWritten, 21 + 2 * big.length);
+            writer.close(t.done);
+        });
+    },
+
+    'should call back once the write is in the ring buffer': function(t) {
+        if (!WorkerWriter.isSupported()) t.skip();
+        var writer = new WorkerWriter(this.tempfile, {ringSize: 10});
+        var accepted = [];
+        writer.write("12345678\n", function(err, nb) { accepted.push(nb) });
+        writer.write("123\n", function(err, nb) { accepted.push(nb) });
+        // the first write fit, the second waits for room
+        t.deepEqual(accepted, [9]);
+        writer.fflush(function(err) {
+            t.ifError(err);
+            t.deepEqual(accepted, [9, 4]);
+            writer.close(t.done);
+        });
+    },
+
+    'should apply backpressure through drain': function(t) {
+        if (!WorkerWriter.isSupported()) t.skip();
+        var tempfile = this.tempfile;
+        var fp = new Fputs(tempfile, {worker: true, writesize: 100, ringSize: 200});
+        var line = new Array(50).join('x') + '\n';
+        var count = 0;
+        (function loop() {
+            if (count >= 200) return fp.close(function(err) {
+                t.ifError(err);
+                t.equal(fs.readFileSync(tempfile).length, 200 * line.length);
+                t.done();
+            });
+            for (var i = 0; i < 10; i++, count++) fp.fputs(line);
+            fp.drain(200, loop);
+        })();
+    },
+
+    'should encode strings in the encoding': function(t) {
+        if (!WorkerWriter.isSupported()) t.skip();
+        var tempfile = this.tempfile;
+        var fp = new Fputs(tempfile, {worker: true, encoding: 'latin1'});
+        fp.fputs("café");
+        fp.close(function(err) {
+            t.ifError(err);
+            t.deepEqual(fs.readFileSync(tempfile), fromBuf([0x63, 0x61, 0x66, 0xe9, 0x0a]));
+            t.done();
+        });
+    },
+
+    'should sync the file on fflush with the onFlush durability': function(t) {
+        if (!WorkerWriter.isSupported()) t.skip();
+        var tempfile = this.tempfile;
+        var fp = new Fputs(tempfile, {worker: true, durability: 'onFlush'});
+        var fsync = fp.writable.fsync, syncs = 0;
+        fp.writable.fsync = function(cb) { fsync.call(this, function(err) { syncs += 1; cb(err) }) };
+        fp.fputs("line 1");
+        fp.fflush(function(err) {
+            t.ifError(err);
+            t.equal(syncs, 1);
+            t.equal(fs.readFileSync(tempfile, 'utf8'), "line 1\n");
+            fp.close(t.done);
+        });
+    },
+
+    'fsync should return the write errors of the worker': function(t) {
+        if (!WorkerWriter.isSupported()) t.skip();
+        var writer = new WorkerWriter("/nonesuch/dir/file", {durability: 'onFlush'});
+        writer.write("line 1\n");
+        writer.fsync(function(err) {
+            t.ok(err instanceof Error);
+            writer.close(function() { t.done() });
+        });
+    },
+
+    'should report write errors on fflush': function(t) {
+        if (!WorkerWriter.isSupported()) t.skip();
+        var fp = new Fputs("/nonesuch/dir/file", {worker: true});
+        fp.fputs("line 1");
+        fp.fflush(function(err) {
+            t.ok(err instanceof Error);
+            fp.close(function() { t.done() });
+        });
+    },
+
+    'fflushSync should write the data accepted so far': function(t) {
+        if (!WorkerWriter.isSupported()) t.skip();
+        var tempfile = this.tempfile;
+        var fp = new Fputs(tempfile, {worker: true, ringSize: 20});
+        var expect = "line 1\n" + new Array(40).join('y') + "\nline 3\n";
+        fp.fputs("line 1");
+        fp.fputs(new Array(40).join('y'));
+        fp.write("line 3\n", function() {});
+        fp.fflushSync();
+        t.equal(fs.readFileSync(tempfile, 'utf8'), expect);
+        t.equal(fp.getUnwrittenLength(), 0);
+        fp.close(function(err) {
+            t.ifError(err);
+            // the worker does not write it again
+            t.equal(fs.readFileSync(tempfile, 'utf8'), expect);
+            t.done();
+        });
+    },
+
+    'should write from the main thread if the worker exits': function(t) {
+        if (!WorkerWriter.isSupported()) t.skip();
+        var tempfile = this.tempfile;
+        var warnings = [];
+        var warn = console.warn;
+        console.warn = function(msg) { warnings.push(msg) };
+        var fp = new Fputs(tempfile, {worker: true});
+        fp.fputs("line 1");
+        fp.fflush(function(err) {
+            t.ifError(err);
+            fp.writable._worker.terminate();
+            fp.writable._worker.once('exit', function() {
+                fp.fputs("line 2");
+                fp.close(function(err) {
+                    console.warn = warn;
+                    t.ifError(err);
+                    t.equal(warnings.length, 1);
+                    t.ok(warnings[0].indexOf('writing from the main thread') > 0);
+                    t.equal(fs.readFileSync(tempfile, 'utf8'), "line 1\nline 2\n");
+                    t.done();
+                });
+            });
+        });
+    },
+}